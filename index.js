@@ -1,5 +1,34 @@
+var Aborter = require('./lib/aborter');
+var backedoffProcess = require('./lib/backedoff-process');
+var bucketsConfig = require('./lib/buckets-config');
+var bucketsReindex = require('./lib/buckets-reindex');
+var bucketsSetup = require('./lib/buckets-setup');
+var dataMigrations = require('./lib/data-migrations');
+var dataMigrationsLoader = require('./lib/data-migrations-loader');
+var errors = require('./lib/errors');
 var MorayBucketsInitializer = require('./lib/buckets-initializer');
+var planBuckets = require('./lib/buckets-plan').planBuckets;
 
 module.exports = {
-    MorayBucketsInitializer: MorayBucketsInitializer
-};
\ No newline at end of file
+    Aborter: Aborter,
+    dataMigrationErrorTransient: dataMigrations.dataMigrationErrorTransient,
+    isBucketsSetupErrorTransient: bucketsSetup.isBucketsSetupErrorTransient,
+    loadMigrations: dataMigrationsLoader.loadMigrations,
+    MorayBucketsInitializer: MorayBucketsInitializer,
+    performBackedOffProcess: backedoffProcess.performBackedOffProcess,
+    planBuckets: planBuckets,
+    reindexBuckets: bucketsReindex.reindexBuckets,
+    rollbackMigrations: dataMigrations.rollbackMigrations,
+    runMigrations: dataMigrations.runMigrations,
+    setupBuckets: bucketsSetup.setupBuckets,
+    validateBucketsConfig: bucketsConfig.validateBucketsConfig,
+    validateDataMigrations: dataMigrations.validateDataMigrations
+};
+
+/*
+ * All error constructors are exported so that consumers can check errors with
+ * "instanceof" or VError.hasCauseWithName.
+ */
+Object.keys(errors).forEach(function exportError(errorName) {
+    module.exports[errorName] = errors[errorName];
+});
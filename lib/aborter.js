@@ -0,0 +1,46 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * An Aborter instance is shared by all the processes started by a
+ * MorayBucketsInitializer instance so that they can be cancelled at once. Code
+ * that performs long running operations (backoffs, retry timers, loops over
+ * chunks of records, etc.) checks the "aborted" property before starting new
+ * work, and can listen for the 'abort' event to cancel pending timers.
+ *
+ * Aborting does not interrupt requests that are already in flight: it is up to
+ * each process to wait for them to complete before reporting that it was
+ * aborted.
+ */
+
+var events = require('events');
+var util = require('util');
+
+function Aborter() {
+    events.EventEmitter.call(this);
+
+    this.aborted = false;
+}
+util.inherits(Aborter, events.EventEmitter);
+
+/*
+ * Marks this instance as aborted and emits the 'abort' event. Calling this
+ * method more than once has no effect.
+ */
+Aborter.prototype.abort = function abort() {
+    if (this.aborted) {
+        return;
+    }
+
+    this.aborted = true;
+    this.emit('abort');
+};
+
+module.exports = Aborter;
@@ -10,59 +10,342 @@
 
 var assert = require('assert-plus');
 var backoff = require('backoff');
+var util = require('util');
 
+var errors = require('./errors');
+
+var BACKOFF_STRATEGIES = ['exponential', 'fibonacci'];
+var DEFAULT_INITIAL_DELAY_MS = 10;
+var DEFAULT_MAX_DELAY_MS = 5000;
+/*
+ * When a process is retried indefinitely, only the latest failed attempts are
+ * kept in its attempts history, so that it doesn't grow without bound.
+ */
+var MAX_ATTEMPTS_HISTORY_LENGTH = 100;
+
+/*
+ * Return the initial and maximum delays of the backoff policy "backoffPolicy",
+ * or their default values if they're not set. Values that are set, including
+ * 0, are returned as is so that they can be validated.
+ */
+function getInitialDelay(backoffPolicy) {
+    if (backoffPolicy.initialDelay === undefined) {
+        return DEFAULT_INITIAL_DELAY_MS;
+    }
+
+    return backoffPolicy.initialDelay;
+}
+
+function getMaxDelay(backoffPolicy) {
+    if (backoffPolicy.maxDelay === undefined) {
+        return DEFAULT_MAX_DELAY_MS;
+    }
+
+    return backoffPolicy.maxDelay;
+}
+
+/*
+ * Validates the backoff policy "backoffPolicy", an object with the following
+ * optional properties:
+ *
+ * - "strategy": 'exponential' (the default) or 'fibonacci'
+ *
+ * - "initialDelay" and "maxDelay": the delay before the first retry and the
+ *   maximum delay between two attempts, in milliseconds. "initialDelay" must be
+ *   at least 1, and "maxDelay" must be greater than "initialDelay". Their
+ *   default values are 10 and 5000.
+ *
+ * - "jitter": a number between 0 and 1 by which each delay can be randomly
+ *   increased, so that processes that fail at the same time don't retry in
+ *   lockstep. For instance, 0.5 increases each delay by up to 50%. Its default
+ *   value is 0, which means that delays are not increased.
+ *
+ * - "timeBudget": the maximum time, in milliseconds, during which a process
+ *   is retried. Once elapsed, the process fails with a TimeBudgetExceededError
+ *   instead of being retried, and no delay between two attempts extends past
+ *   it.
+ */
+function validateBackoffPolicy(backoffPolicy) {
+    assert.object(backoffPolicy, 'backoffPolicy');
+    assert.optionalString(backoffPolicy.strategy, 'backoffPolicy.strategy');
+    assert.optionalNumber(backoffPolicy.initialDelay,
+        'backoffPolicy.initialDelay');
+    assert.optionalNumber(backoffPolicy.maxDelay, 'backoffPolicy.maxDelay');
+    assert.optionalNumber(backoffPolicy.jitter, 'backoffPolicy.jitter');
+    assert.optionalNumber(backoffPolicy.timeBudget, 'backoffPolicy.timeBudget');
+
+    if (backoffPolicy.strategy !== undefined) {
+        assert.ok(BACKOFF_STRATEGIES.indexOf(backoffPolicy.strategy) !== -1,
+            'backoffPolicy.strategy must be one of ' +
+                BACKOFF_STRATEGIES.join(', '));
+    }
+
+    assert.ok(getInitialDelay(backoffPolicy) >= 1,
+        'backoffPolicy.initialDelay must be at least 1');
+    assert.ok(getMaxDelay(backoffPolicy) > getInitialDelay(backoffPolicy),
+        'backoffPolicy.maxDelay must be greater than ' +
+            'backoffPolicy.initialDelay');
+
+    if (backoffPolicy.jitter !== undefined) {
+        assert.ok(backoffPolicy.jitter >= 0 && backoffPolicy.jitter <= 1,
+            'backoffPolicy.jitter must be between 0 and 1');
+    }
+
+    if (backoffPolicy.timeBudget !== undefined) {
+        assert.ok(backoffPolicy.timeBudget > 0,
+            'backoffPolicy.timeBudget must be a positive number');
+    }
+}
+
+/*
+ * Calls "fun" until it succeeds, backing off between each attempt, and calls
+ * "callback" when it succeeded, when it failed with an error that
+ * "options.isErrTransientFun" considers to be non-transient, or when the
+ * maximum number of attempts has been reached.
+ *
+ * If "options.aborter" is set and its "abort" method is called, pending
+ * backoffs are cancelled, and "callback" is called with a
+ * BucketsInitAbortedError once the attempt that is in flight (if any)
+ * completes.
+ *
+ * "options.backoffPolicy" (see validateBackoffPolicy) determines the delays
+ * between attempts, and how long the process can be retried. If
+ * "options.deadline" is set, it's the time (as a number of milliseconds since
+ * the epoch) at which the time budget of the backoff policy runs out, so that
+ * several processes can share that budget. Otherwise, the time budget starts
+ * when this process starts.
+ *
+ * If "options.isErrTransient" is set, it's called as "isErrTransient(err,
+ * context)" before "options.isErrTransientFun" to classify errors. It returns
+ * true if "err" is transient, false if it's not, or undefined to let
+ * "options.isErrTransientFun" decide. "context" is the object returned by
+ * "options.getErrContext(err)" if it's set (e.g {phase, model, bucketName}),
+ * with an additional "attempt" property: the number of the attempt that
+ * failed, starting at 1. If "options.isErrTransient" throws, "err" is
+ * considered to be non-transient, and "callback" is called with an
+ * ErrorClassificationError.
+ *
+ * Each failed attempt is recorded in "options.attemptsHistory" if it's set, as
+ * an object with the properties "timestamp" (an ISO 8601 string), "name" and
+ * "message" (the name and message of the error). When the maximum number of
+ * attempts is reached, "callback" is called with a MaxAttemptsExceededError
+ * that has that history, and whose cause is the last error.
+ */
 function performBackedOffProcess(processName, fun, options, callback) {
     assert.string(processName, 'processName');
     assert.func(fun, 'fun');
     assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
+    assert.optionalArrayOfObject(options.attemptsHistory,
+        'options.attemptsHistory');
+    assert.optionalObject(options.backoffPolicy, 'options.backoffPolicy');
+    assert.optionalNumber(options.deadline, 'options.deadline');
+    assert.optionalFunc(options.getErrContext, 'options.getErrContext');
+    assert.optionalFunc(options.isErrTransient, 'options.isErrTransient');
     assert.func(options.isErrTransientFun, 'options.isErrTransientFun');
     assert.object(options.log, 'options.log');
     assert.optionalNumber(options.maxAttempts, 'options.maxAttempts');
     assert.func(callback, 'callback');
 
-    var INITIAL_SETUP_BUCKET_BACKOFF_DELAY_MS = 10;
+    var aborter = options.aborter;
+    var attemptInFlight = false;
+    var attempts = 0;
+    var attemptsHistory = options.attemptsHistory || [];
+    var backoffPolicy = options.backoffPolicy || {};
+    var deadline;
+    var deadlineTimer;
+    var lastErr;
     var log = options.log;
-    var MAX_SETUP_BUCKET_BACKOFF_DELAY_MS = 5000;
-    var processBackoff = backoff.exponential({
-        initialDelay: INITIAL_SETUP_BUCKET_BACKOFF_DELAY_MS,
-        maxDelay: MAX_SETUP_BUCKET_BACKOFF_DELAY_MS
+    var processBackoff;
+    var processDone = false;
+
+    validateBackoffPolicy(backoffPolicy);
+
+    if (backoffPolicy.timeBudget !== undefined) {
+        deadline = options.deadline !== undefined ? options.deadline :
+            Date.now() + backoffPolicy.timeBudget;
+    }
+
+    processBackoff = backoff[backoffPolicy.strategy || 'exponential']({
+        initialDelay: getInitialDelay(backoffPolicy),
+        maxDelay: getMaxDelay(backoffPolicy),
+        randomisationFactor: backoffPolicy.jitter === undefined ? 0 :
+            backoffPolicy.jitter
     });
 
     if (options.maxAttempts !== undefined) {
         processBackoff.failAfter(options.maxAttempts);
     }
 
+    function done(err) {
+        if (processDone) {
+            return;
+        }
+
+        processDone = true;
+
+        clearTimeout(deadlineTimer);
+
+        if (aborter) {
+            aborter.removeListener('abort', onAbort);
+        }
+
+        callback(err);
+    }
+
+    function abortProcess() {
+        log.info('Aborting moray initializer process ' + processName);
+        processBackoff.reset();
+        done(new errors.BucketsInitAbortedError());
+    }
+
+    /*
+     * When an attempt is in flight, we let it complete and "onProcessDone"
+     * takes care of not backing off.
+     */
+    function onAbort() {
+        if (!attemptInFlight) {
+            abortProcess();
+        }
+    }
+
+    function startAttempt() {
+        clearTimeout(deadlineTimer);
+
+        if (aborter && aborter.aborted) {
+            abortProcess();
+            return;
+        }
+
+        attemptInFlight = true;
+        ++attempts;
+        fun(onProcessDone);
+    }
+
+    /*
+     * Called when the time budget runs out while backing off: the pending
+     * backoff is cancelled and the last attempt starts right away, so that
+     * the delay before it doesn't extend past the time budget.
+     */
+    function onDeadlineReached() {
+        log.warn('Time budget of moray initializer process ' + processName +
+            ' runs out, performing last attempt');
+        processBackoff.reset();
+        startAttempt();
+    }
+
+    function backOff() {
+        processBackoff.backoff();
+
+        /*
+         * Backing off fails right away, without scheduling another attempt, if
+         * the maximum number of attempts was reached.
+         */
+        if (deadline !== undefined && !processDone) {
+            deadlineTimer = setTimeout(onDeadlineReached,
+                Math.max(deadline - Date.now(), 0));
+        }
+    }
+
+    /*
+     * Returns true if "err" is transient. If "options.isErrTransient" throws,
+     * "err" is considered to be non-transient, and the process fails with an
+     * ErrorClassificationError instead, which is returned in "result.err".
+     */
+    function isErrTransient(err, result) {
+        var context;
+        var errTransient;
+
+        if (options.isErrTransient !== undefined) {
+            context = options.getErrContext ? options.getErrContext(err) : {};
+            context.attempt = attempts;
+
+            try {
+                errTransient = options.isErrTransient(err, context);
+            } catch (classifyErr) {
+                result.err = new errors.ErrorClassificationError(processName,
+                    err, classifyErr instanceof Error ? classifyErr :
+                        new Error('isErrTransient threw non-error value: ' +
+                            util.inspect(classifyErr)));
+                return false;
+            }
+
+            assert.optionalBool(errTransient, 'errTransient');
+
+            if (errTransient !== undefined) {
+                return errTransient;
+            }
+        }
+
+        return options.isErrTransientFun(err);
+    }
+
+    function recordFailedAttempt(err) {
+        lastErr = err;
+
+        attemptsHistory.push({
+            timestamp: new Date().toISOString(),
+            name: err.name,
+            message: err.message
+        });
+
+        if (options.maxAttempts === undefined &&
+            attemptsHistory.length > MAX_ATTEMPTS_HISTORY_LENGTH) {
+            attemptsHistory.shift();
+        }
+    }
+
     function onProcessDone(processErr) {
+        var classification = {err: processErr};
         var errTransient = true;
 
+        attemptInFlight = false;
+
         if (processErr) {
-            errTransient = options.isErrTransientFun(processErr);
+            recordFailedAttempt(processErr);
+            errTransient = isErrTransient(processErr, classification);
             if (!errTransient) {
-                log.error({error: processErr},
+                log.error({error: classification.err},
                     'Non transient error when performing moray initializer ' +
                         'process ' + processName);
 
                 log.debug('stopping moray process backoff');
                 processBackoff.reset();
 
-                callback(processErr);
+                done(classification.err);
+                return;
+            } else if (aborter && aborter.aborted) {
+                /*
+                 * Errors caused by the abort itself (e.g
+                 * BucketsInitAbortedError) are considered transient, and we
+                 * don't want to retry in that case.
+                 */
+                abortProcess();
+                return;
+            } else if (deadline !== undefined && Date.now() >= deadline) {
+                log.error({err: processErr},
+                    'Time budget exceeded when performing moray initializer ' +
+                        'process ' + processName);
+                processBackoff.reset();
+                done(new errors.TimeBudgetExceededError(processName,
+                    backoffPolicy.timeBudget, processErr));
                 return;
             } else {
                 log.warn({err: processErr.toString()},
                     'Transient error encountered, backing off');
-                processBackoff.backoff();
+                backOff();
                 return;
             }
         } else {
             log.info('Moray process done!');
             processBackoff.reset();
-            callback();
+            done();
             return;
         }
     }
 
     processBackoff.on('ready', function onSetupBucketsBackoffReady() {
-        fun(onProcessDone);
+        startAttempt();
     });
 
     processBackoff.on('backoff', function onMorayProcessBackoff(number, delay) {
@@ -73,13 +356,23 @@ function performBackedOffProcess(processName, fun, options, callback) {
     });
 
     processBackoff.on('fail', function onProcessFail() {
-        callback(new Error('Maximum number of tries reached when ' +
-            'performing ' + processName));
+        done(new errors.MaxAttemptsExceededError(processName,
+            attemptsHistory.slice(), lastErr));
     });
 
-    processBackoff.backoff();
+    if (aborter) {
+        if (aborter.aborted) {
+            setImmediate(abortProcess);
+            return;
+        }
+
+        aborter.on('abort', onAbort);
+    }
+
+    backOff();
 }
 
 module.exports = {
-    performBackedOffProcess: performBackedOffProcess
+    performBackedOffProcess: performBackedOffProcess,
+    validateBackoffPolicy: validateBackoffPolicy
 };
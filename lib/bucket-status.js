@@ -0,0 +1,131 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * This module implements helpers to maintain the per-bucket section of the
+ * status objects of the buckets setup, buckets reindex and data migrations
+ * processes. These per-bucket sections are stored in the "buckets" property of
+ * each process' status object, keyed by model name, and have the following
+ * common properties:
+ *
+ * - "bucketName": the name of the moray bucket for that model
+ *
+ * - "state": one of 'NOT_STARTED', 'STARTED', 'DONE' or 'ERROR'
+ *
+ * - "attempts": the number of times the process was attempted for that bucket
+ *
+ * - "startedAt": the time at which the first attempt started, as an ISO 8601
+ *   string
+ *
+ * - "endedAt": the time at which the latest attempt ended, as an ISO 8601
+ *   string, if it ended
+ *
+ * - "latestError": the error that made the latest attempt fail, if it failed
+ *
+ * Each process can add its own properties to these per-bucket sections.
+ */
+
+var assert = require('assert-plus');
+var VError = require('verror');
+
+/*
+ * Makes sure that the status object "status" has a per-bucket section for the
+ * model "modelName" whose bucket name is "bucketName", and returns it.
+ */
+function initBucketStatus(status, modelName, bucketName) {
+    assert.object(status, 'status');
+    assert.string(modelName, 'modelName');
+    assert.string(bucketName, 'bucketName');
+
+    if (status.buckets === undefined) {
+        status.buckets = {};
+    }
+
+    if (status.buckets[modelName] === undefined) {
+        status.buckets[modelName] = {
+            attempts: 0,
+            bucketName: bucketName,
+            state: 'NOT_STARTED'
+        };
+    }
+
+    return status.buckets[modelName];
+}
+
+/*
+ * Records that a new attempt is starting for the per-bucket status
+ * "bucketStatus".
+ */
+function startBucketAttempt(bucketStatus) {
+    assert.object(bucketStatus, 'bucketStatus');
+
+    ++bucketStatus.attempts;
+    bucketStatus.state = 'STARTED';
+
+    if (bucketStatus.startedAt === undefined) {
+        bucketStatus.startedAt = new Date().toISOString();
+    }
+
+    delete bucketStatus.endedAt;
+}
+
+/*
+ * Records that the current attempt for the per-bucket status "bucketStatus"
+ * ended, successfully if "err" is not set.
+ */
+function endBucketAttempt(bucketStatus, err) {
+    assert.object(bucketStatus, 'bucketStatus');
+    assert.optionalObject(err, 'err');
+
+    bucketStatus.endedAt = new Date().toISOString();
+
+    if (err) {
+        bucketStatus.latestError = err;
+        bucketStatus.state = 'ERROR';
+    } else {
+        delete bucketStatus.latestError;
+        bucketStatus.state = 'DONE';
+    }
+}
+
+/*
+ * Returns an object with "model" and "bucketName" properties that identify the
+ * bucket in the status object "status" whose latest error is "err" or one of
+ * its causes, or an empty object if there's none. This is used to find which
+ * bucket made a whole process fail.
+ */
+function findFailedBucket(status, err) {
+    assert.object(status, 'status');
+    assert.object(err, 'err');
+
+    var buckets = status.buckets || {};
+    var cause;
+    var modelName;
+
+    for (cause = err; cause; cause = VError.cause(cause)) {
+        for (modelName in buckets) {
+            if (buckets[modelName].latestError === cause) {
+                return {
+                    model: modelName,
+                    bucketName: buckets[modelName].bucketName
+                };
+            }
+        }
+    }
+
+    return {};
+}
+
+module.exports = {
+    endBucketAttempt: endBucketAttempt,
+    findFailedBucket: findFailedBucket,
+    initBucketStatus: initBucketStatus,
+    startBucketAttempt: startBucketAttempt
+};
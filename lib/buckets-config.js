@@ -9,6 +9,39 @@
  */
 
 var assert = require('assert-plus');
+var util = require('util');
+
+var errors = require('./errors');
+
+/*
+ * Name of the indexed field used to store the data version of records, unless
+ * a different one is set for a given bucket or for all buckets.
+ */
+var DEFAULT_DATA_VERSION_FIELD = 'data_version';
+
+/*
+ * Maximum number of records that data migrations read from a bucket at a time,
+ * unless a different one is set for that bucket. It's the default Moray "page"
+ * limit.
+ */
+var DEFAULT_MIGRATION_CHUNK_SIZE = 1000;
+
+/*
+ * Types of indexed fields supported by Moray.
+ */
+var SCALAR_INDEX_TYPES = ['boolean', 'ip', 'number', 'string', 'subnet',
+    'uuid'];
+var INDEX_TYPES = SCALAR_INDEX_TYPES.concat(SCALAR_INDEX_TYPES.map(
+    function toArrayType(type) {
+        return '[' + type + ']';
+    }));
+
+/*
+ * Kinds of backward incompatible index changes that can be allowed with the
+ * "allowedIndexChanges" property of a bucket's configuration (see
+ * "incompatibleIndexChanges" in lib/buckets-setup.js).
+ */
+var INDEX_CHANGE_KINDS = ['array', 'type', 'unique'];
 
 function modelToBucketName(modelName, bucketsConfig) {
     assert.string(modelName, 'modelName');
@@ -21,6 +54,305 @@ function modelToBucketName(modelName, bucketsConfig) {
     return bucketsConfig[modelName].name;
 }
 
+/*
+ * Returns the name of the indexed field used to store the data version of
+ * records of the model "modelName". It's the "dataVersionField" property of
+ * that model's configuration in "bucketsConfig" if it's set, otherwise
+ * "defaultDataVersionField" if it's set, otherwise 'data_version'.
+ */
+function modelToDataVersionField(modelName, bucketsConfig,
+    defaultDataVersionField) {
+    assert.string(modelName, 'modelName');
+    assert.object(bucketsConfig, 'bucketsConfig');
+    assert.object(bucketsConfig[modelName], 'bucketsConfig[modelName]');
+    assert.optionalString(bucketsConfig[modelName].dataVersionField,
+        'bucketsConfig[modelName].dataVersionField');
+    assert.optionalString(defaultDataVersionField, 'defaultDataVersionField');
+
+    if (bucketsConfig[modelName].dataVersionField !== undefined) {
+        return bucketsConfig[modelName].dataVersionField;
+    }
+
+    if (defaultDataVersionField !== undefined) {
+        return defaultDataVersionField;
+    }
+
+    return DEFAULT_DATA_VERSION_FIELD;
+}
+
+/*
+ * Returns the function used to compute the Moray key under which migrated
+ * records of the model "modelName" are written, or undefined if that model's
+ * configuration in "bucketsConfig" doesn't have a "keyFn" property, in which
+ * case migrated records are written under their original key.
+ */
+function modelToKeyFn(modelName, bucketsConfig) {
+    assert.string(modelName, 'modelName');
+    assert.object(bucketsConfig, 'bucketsConfig');
+    assert.object(bucketsConfig[modelName], 'bucketsConfig[modelName]');
+    assert.optionalFunc(bucketsConfig[modelName].keyFn,
+        'bucketsConfig[modelName].keyFn');
+
+    return bucketsConfig[modelName].keyFn;
+}
+
+/*
+ * Returns the maximum number of records of the model "modelName" that data
+ * migrations read and write at a time. It's the "migrationChunkSize" property
+ * of that model's configuration in "bucketsConfig" if it's set, otherwise
+ * 1000.
+ */
+function modelToMigrationChunkSize(modelName, bucketsConfig) {
+    assert.string(modelName, 'modelName');
+    assert.object(bucketsConfig, 'bucketsConfig');
+    assert.object(bucketsConfig[modelName], 'bucketsConfig[modelName]');
+    assert.optionalNumber(bucketsConfig[modelName].migrationChunkSize,
+        'bucketsConfig[modelName].migrationChunkSize');
+
+    if (bucketsConfig[modelName].migrationChunkSize !== undefined) {
+        return bucketsConfig[modelName].migrationChunkSize;
+    }
+
+    return DEFAULT_MIGRATION_CHUNK_SIZE;
+}
+
+function isPlainObject(value) {
+    return typeof (value) === 'object' && value !== null &&
+        !Array.isArray(value);
+}
+
+function isNonNegativeInteger(value) {
+    return typeof (value) === 'number' && value >= 0 &&
+        Math.floor(value) === value;
+}
+
+/*
+ * Returns the JSON path of the property of "bucketsConfig" designated by the
+ * array of property names and array indexes "names", e.g
+ * '$.vms.schema.index.uuid.type' or '$.vms.schema.pre[0]'.
+ */
+function jsonPath(names) {
+    assert.array(names, 'names');
+
+    return '$' + names.map(function formatName(name) {
+        if (typeof (name) === 'number') {
+            return '[' + name + ']';
+        }
+
+        if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name)) {
+            return '.' + name;
+        }
+
+        return '[' + JSON.stringify(name) + ']';
+    }).join('');
+}
+
+function validateIndexes(modelName, index, addProblem) {
+    assert.string(modelName, 'modelName');
+    assert.func(addProblem, 'addProblem');
+
+    if (index === undefined) {
+        return;
+    }
+
+    if (!isPlainObject(index)) {
+        addProblem([modelName, 'schema', 'index'], 'must be an object');
+        return;
+    }
+
+    Object.keys(index).forEach(function validateIndex(fieldName) {
+        var indexPath = [modelName, 'schema', 'index', fieldName];
+        var indexConfig = index[fieldName];
+
+        if (!isPlainObject(indexConfig)) {
+            addProblem(indexPath, 'must be an object');
+            return;
+        }
+
+        if (INDEX_TYPES.indexOf(indexConfig.type) === -1) {
+            addProblem(indexPath.concat('type'), util.format('must be one ' +
+                'of %s, got %j', INDEX_TYPES.join(', '), indexConfig.type));
+        }
+
+        if (indexConfig.unique !== undefined &&
+            typeof (indexConfig.unique) !== 'boolean') {
+            addProblem(indexPath.concat('unique'), 'must be a boolean');
+        }
+    });
+}
+
+function validateAllowedIndexChanges(modelName, bucketConfig, addProblem) {
+    assert.string(modelName, 'modelName');
+    assert.object(bucketConfig, 'bucketConfig');
+    assert.func(addProblem, 'addProblem');
+
+    var allowedIndexChanges = bucketConfig.allowedIndexChanges;
+    var index = (isPlainObject(bucketConfig.schema) &&
+        bucketConfig.schema.index) || {};
+
+    if (allowedIndexChanges === undefined) {
+        return;
+    }
+
+    if (!isPlainObject(allowedIndexChanges)) {
+        addProblem([modelName, 'allowedIndexChanges'], 'must be an object');
+        return;
+    }
+
+    Object.keys(allowedIndexChanges).forEach(function validateIndex(indexName) {
+        var changesPath = [modelName, 'allowedIndexChanges', indexName];
+        var kinds = allowedIndexChanges[indexName];
+
+        if (!isPlainObject(index) || !index.hasOwnProperty(indexName)) {
+            addProblem(changesPath, 'must be the name of an index of the ' +
+                'bucket\'s schema');
+        }
+
+        if (!Array.isArray(kinds)) {
+            addProblem(changesPath, 'must be an array');
+            return;
+        }
+
+        kinds.forEach(function validateKind(kind, idx) {
+            if (INDEX_CHANGE_KINDS.indexOf(kind) === -1) {
+                addProblem(changesPath.concat(idx), util.format('must be ' +
+                    'one of %s, got %j', INDEX_CHANGE_KINDS.join(', '), kind));
+            }
+        });
+    });
+}
+
+function validateTriggers(modelName, schema, addProblem) {
+    assert.string(modelName, 'modelName');
+    assert.object(schema, 'schema');
+    assert.func(addProblem, 'addProblem');
+
+    ['pre', 'post'].forEach(function validateTrigger(triggerName) {
+        var triggers = schema[triggerName];
+
+        if (triggers === undefined) {
+            return;
+        }
+
+        if (!Array.isArray(triggers)) {
+            addProblem([modelName, 'schema', triggerName],
+                'must be an array of functions');
+            return;
+        }
+
+        triggers.forEach(function validateTriggerFunc(trigger, idx) {
+            if (typeof (trigger) !== 'function') {
+                addProblem([modelName, 'schema', triggerName, idx],
+                    'must be a function');
+            }
+        });
+    });
+}
+
+/*
+ * Validates the configuration of all buckets in "bucketsConfig" without
+ * sending any request to Moray, and returns an InvalidBucketsConfigError that
+ * lists all the problems found, or undefined if there's none. For each model,
+ * it checks that:
+ *
+ * - it has a non-empty bucket "name" that is not used by any other model, and
+ *   a "schema" object
+ *
+ * - each of its indexes has a type supported by Moray, and an optional boolean
+ *   "unique" property
+ *
+ * - "schema.options.version", if set, is a non-negative integer
+ *
+ * - "schema.pre" and "schema.post", if set, are arrays of functions
+ *
+ * - "dataVersionField", "keyFn" and "migrationChunkSize", if set, are
+ *   respectively a string, a function and a positive integer
+ *
+ * - "allowedIndexChanges", if set, maps names of indexes of the bucket to
+ *   arrays of kinds of index changes (see INDEX_CHANGE_KINDS)
+ */
+function validateBucketsConfig(bucketsConfig) {
+    assert.object(bucketsConfig, 'bucketsConfig');
+
+    var modelsByBucketName = {};
+    var problems = [];
+
+    function addProblem(names, message) {
+        problems.push({path: jsonPath(names), message: message});
+    }
+
+    Object.keys(bucketsConfig).forEach(function validateModel(modelName) {
+        var bucketConfig = bucketsConfig[modelName];
+        var schema;
+
+        if (!isPlainObject(bucketConfig)) {
+            addProblem([modelName], 'must be an object');
+            return;
+        }
+
+        if (typeof (bucketConfig.name) !== 'string' ||
+            bucketConfig.name.length === 0) {
+            addProblem([modelName, 'name'], 'must be a non-empty string');
+        } else if (modelsByBucketName[bucketConfig.name] !== undefined) {
+            addProblem([modelName, 'name'], util.format('must be unique, ' +
+                'but bucket %s is also used by model %s', bucketConfig.name,
+                modelsByBucketName[bucketConfig.name]));
+        } else {
+            modelsByBucketName[bucketConfig.name] = modelName;
+        }
+
+        if (bucketConfig.dataVersionField !== undefined &&
+            typeof (bucketConfig.dataVersionField) !== 'string') {
+            addProblem([modelName, 'dataVersionField'], 'must be a string');
+        }
+
+        if (bucketConfig.keyFn !== undefined &&
+            typeof (bucketConfig.keyFn) !== 'function') {
+            addProblem([modelName, 'keyFn'], 'must be a function');
+        }
+
+        if (bucketConfig.migrationChunkSize !== undefined &&
+            !(isNonNegativeInteger(bucketConfig.migrationChunkSize) &&
+            bucketConfig.migrationChunkSize > 0)) {
+            addProblem([modelName, 'migrationChunkSize'],
+                'must be a positive integer');
+        }
+
+        validateAllowedIndexChanges(modelName, bucketConfig, addProblem);
+
+        schema = bucketConfig.schema;
+        if (!isPlainObject(schema)) {
+            addProblem([modelName, 'schema'], 'must be an object');
+            return;
+        }
+
+        validateIndexes(modelName, schema.index, addProblem);
+
+        if (schema.options !== undefined) {
+            if (!isPlainObject(schema.options)) {
+                addProblem([modelName, 'schema', 'options'],
+                    'must be an object');
+            } else if (schema.options.version !== undefined &&
+                !isNonNegativeInteger(schema.options.version)) {
+                addProblem([modelName, 'schema', 'options', 'version'],
+                    'must be a non-negative integer');
+            }
+        }
+
+        validateTriggers(modelName, schema, addProblem);
+    });
+
+    if (problems.length > 0) {
+        return new errors.InvalidBucketsConfigError(problems);
+    }
+}
+
 module.exports = {
-    modelToBucketName: modelToBucketName
+    DEFAULT_DATA_VERSION_FIELD: DEFAULT_DATA_VERSION_FIELD,
+    DEFAULT_MIGRATION_CHUNK_SIZE: DEFAULT_MIGRATION_CHUNK_SIZE,
+    modelToBucketName: modelToBucketName,
+    modelToDataVersionField: modelToDataVersionField,
+    modelToKeyFn: modelToKeyFn,
+    modelToMigrationChunkSize: modelToMigrationChunkSize,
+    validateBucketsConfig: validateBucketsConfig
 };
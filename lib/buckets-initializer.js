@@ -9,16 +9,41 @@
  */
 
 var assert = require('assert-plus');
+var crypto = require('crypto');
 var events = require('events');
 var jsprim = require('jsprim');
+var os = require('os');
 var util = require('util');
 var vasync = require('vasync');
+var verror = require('verror');
 
+var Aborter = require('./aborter');
+var bucketsLock = require('./buckets-lock');
+var bucketsPlan = require('./buckets-plan');
 var bucketsSetup = require('./buckets-setup');
 var bucketsReindex = require('./buckets-reindex');
 var dataMigrations = require('./data-migrations');
 var dataMigrationsLoader = require('./data-migrations-loader');
 var errors = require('./errors');
+var invokeAsync = require('./invoke-async').invokeAsync;
+var migrationsLedger = require('./migrations-ledger');
+var mod_bucketsConfig = require('./buckets-config');
+var backedoffProcess = require('./backedoff-process');
+var throttle = require('./throttle');
+
+/*
+ * Names of the phases that can be selected with the "phases" constructor
+ * option.
+ */
+var SELECTABLE_PHASE_NAMES = ['bucketsSetup', 'bucketsReindex',
+    'dataMigrations'];
+
+/*
+ * Names of the lifecycle hooks that can be set with the "hooks" constructor
+ * option.
+ */
+var HOOK_NAMES = ['beforeSetup', 'afterBucketCreated', 'afterBucketUpdated',
+    'beforeMigrations', 'afterMigrations'];
 
 /*
  * MorayBucketsInitializer instances drive the process that sets up _and_
@@ -31,7 +56,8 @@ var errors = require('./errors');
  *
  * If the process completes successfully, a 'done' event is emitted by a
  * MorayBucketsInitializer instance. If the process encounters an unrecoverable
- * error, it emits an 'error' event.
+ * error, it emits an 'error' event. If the process is stopped by calling the
+ * "stop" method, it emits an 'aborted' event.
  */
 
 /*
@@ -47,6 +73,11 @@ var errors = require('./errors');
  *   * "dataMigrationsPath" (optional): path to the directory that stores data
  *      migrations files.
  *
+ *   * "dataVersionField" (optional): the name of the indexed field used to
+ *     store the data version of records, for buckets whose configuration in
+ *     "bucketsConfig" does not have its own "dataVersionField" property. Its
+ *     default value is 'data_version'.
+ *
  *   * "maxBucketsSetupAttempts" (optional): the number of attempts to setup
  *     (create and/or update) buckets before an 'error' event is emitted.
  *     Its default value is "undefined" and it causes the process to be retried
@@ -57,7 +88,72 @@ var errors = require('./errors');
  *     "undefined" and it causes the process to be retried indefinitely, unless
  *     a non-transient error is encountered.
  *
+ *   * "maxConcurrentModels" (optional): the maximum number of models whose
+ *     data migrations run at the same time. Its default value is "undefined"
+ *     and it causes data migrations for all models to run in parallel.
+ *
+ *   * "backoffPolicy" (optional): an object whose keys are names of phases
+ *     among 'bucketsSetup', 'bucketsReindex' and 'dataMigrations', and whose
+ *     values are the backoff policies used to retry these phases (see
+ *     "validateBackoffPolicy" in lib/backedoff-process.js). Phases without a
+ *     backoff policy are retried with an exponential backoff from 10ms to 5s.
+ *
+ *   * "isErrTransient" (optional): an object whose keys are names of phases
+ *     among 'bucketsSetup', 'bucketsReindex' and 'dataMigrations', and whose
+ *     values are functions that override how errors of these phases are
+ *     classified. They're called as "isErrTransient(err, context)", where
+ *     "context" has the properties "phase", "attempt", and "model" and
+ *     "bucketName" if the error can be attributed to a bucket. They return
+ *     true for transient errors, false for non-transient errors, or undefined
+ *     to use the default classification of the phase.
+ *
+ *   * "rateLimit" (optional): an object with optional "global" and
+ *     "perBucket" properties that limit the number of records reindexed and
+ *     migrated per second, across all buckets and for each bucket (see
+ *     lib/throttle.js). Limits can be changed while the initialization
+ *     process runs with the "setRateLimit" method. Its default value is
+ *     "undefined" and it causes records to be processed without limit.
+ *
  *   * "log" (mandatory): the bunyan logger instance to use.
+ *
+ *   * "phases" (optional): an array of names of the phases to run, among
+ *     'bucketsSetup', 'bucketsReindex' and 'dataMigrations'. Phases always run
+ *     in that order, regardless of their order in that array. Phases that are
+ *     not selected are not run, and their state is 'SKIPPED'. When
+ *     'dataMigrations' is selected but 'bucketsSetup' or 'bucketsReindex' is
+ *     not, data migrations fail with a BucketNotReindexedError for any bucket
+ *     that is not set up and reindexed. Its default value is to run all
+ *     phases.
+ *
+ *   * "hooks" (optional): an object whose properties are functions to call at
+ *     specific points of the initialization process. "beforeSetup" is called
+ *     before buckets are set up, "afterBucketCreated" and "afterBucketUpdated"
+ *     are called after each bucket is created or updated, and
+ *     "beforeMigrations" and "afterMigrations" are called before and after
+ *     data migrations run (even if there's no data migration to run). Hooks
+ *     can be asynchronous (see lib/invoke-async.js), and their errors are
+ *     retried or not as errors of the phase during which they run.
+ *
+ *   * "migrationsLedger" (optional): if true, data migrations that are applied
+ *     are recorded in a ledger bucket managed by this module (see
+ *     lib/migrations-ledger.js), and loading data migrations fails with a
+ *     MigrationChecksumMismatchError if an already applied migration file
+ *     changed. Its default value is false.
+ *
+ *   * "lock" (optional): if true or an object, the initialization process
+ *     runs only while holding a lock shared by all instances using the same
+ *     Moray buckets (see lib/buckets-lock.js), so that only one of them sets
+ *     up, reindexes and migrates buckets at a time. When an object, its
+ *     "name", "leaseDurationMs", "renewIntervalMs" and "pollIntervalMs"
+ *     properties are passed to the BucketsInitLock constructor. Its default
+ *     value is false.
+ *
+ *   * "instanceId" (optional): identifies the process in the migrations ledger
+ *     and as the holder of the lock. Its default value is the host name and
+ *     the process ID, e.g 'vmapi0:1234'.
+ *
+ *   * "codeVersion" (optional): the version of the code that applies data
+ *     migrations, recorded in the migrations ledger.
  */
 function MorayBucketsInitializer(options) {
     events.EventEmitter.call(this);
@@ -71,6 +167,10 @@ function MorayBucketsInitializer(options) {
         'options.dataMigrationsPath');
     this._dataMigrationsPath = options.dataMigrationsPath;
 
+    assert.optionalString(options.dataVersionField,
+        'options.dataVersionField');
+    this._dataVersionField = options.dataVersionField;
+
     assert.object(options.log, 'options.log');
     this._log = options.log;
 
@@ -86,10 +186,134 @@ function MorayBucketsInitializer(options) {
         'options.maxDataMigrationsAttempts');
     this._maxDataMigrationsAttempts = options.maxDataMigrationsAttempts;
 
+    assert.optionalNumber(options.maxConcurrentModels,
+        'options.maxConcurrentModels');
+    if (options.maxConcurrentModels !== undefined) {
+        assert.ok(options.maxConcurrentModels >= 1 &&
+            Math.floor(options.maxConcurrentModels) ===
+                options.maxConcurrentModels,
+            'options.maxConcurrentModels must be a positive integer');
+    }
+    this._maxConcurrentModels = options.maxConcurrentModels;
+
+    assert.optionalObject(options.backoffPolicy, 'options.backoffPolicy');
+    if (options.backoffPolicy !== undefined) {
+        Object.keys(options.backoffPolicy).forEach(
+            function checkBackoffPolicy(phaseName) {
+                assert.ok(SELECTABLE_PHASE_NAMES.indexOf(phaseName) !== -1,
+                    'options.backoffPolicy must only include ' +
+                        SELECTABLE_PHASE_NAMES.join(', ') + ', got: ' +
+                        phaseName);
+                backedoffProcess.validateBackoffPolicy(
+                    options.backoffPolicy[phaseName]);
+            });
+    }
+    this._backoffPolicies = options.backoffPolicy || {};
+
+    assert.optionalObject(options.isErrTransient, 'options.isErrTransient');
+    if (options.isErrTransient !== undefined) {
+        Object.keys(options.isErrTransient).forEach(
+            function checkIsErrTransient(phaseName) {
+                assert.ok(SELECTABLE_PHASE_NAMES.indexOf(phaseName) !== -1,
+                    'options.isErrTransient must only include ' +
+                        SELECTABLE_PHASE_NAMES.join(', ') + ', got: ' +
+                        phaseName);
+                assert.func(options.isErrTransient[phaseName],
+                    'options.isErrTransient.' + phaseName);
+            });
+    }
+    this._isErrTransient = options.isErrTransient || {};
+
+    this._throttle = new throttle.Throttle({
+        log: options.log,
+        rateLimit: options.rateLimit
+    });
+
     assert.object(options.morayClient, 'options.morayClient');
     this._morayClient = options.morayClient;
 
+    assert.optionalObject(options.hooks, 'options.hooks');
+    if (options.hooks !== undefined) {
+        Object.keys(options.hooks).forEach(function checkHook(hookName) {
+            assert.ok(HOOK_NAMES.indexOf(hookName) !== -1,
+                'options.hooks must only include ' + HOOK_NAMES.join(', ') +
+                    ', got: ' + hookName);
+            assert.func(options.hooks[hookName],
+                'options.hooks.' + hookName);
+        });
+    }
+    this._hooks = options.hooks || {};
+
+    assert.optionalArrayOfString(options.phases, 'options.phases');
+    if (options.phases !== undefined) {
+        options.phases.forEach(function checkPhase(phaseName) {
+            assert.ok(SELECTABLE_PHASE_NAMES.indexOf(phaseName) !== -1,
+                'options.phases must only include ' +
+                    SELECTABLE_PHASE_NAMES.join(', ') + ', got: ' + phaseName);
+        });
+    }
+    this._phases = options.phases || SELECTABLE_PHASE_NAMES;
+
+    assert.optionalString(options.instanceId, 'options.instanceId');
+    this._instanceId = options.instanceId ||
+        os.hostname() + ':' + process.pid;
+
+    assert.optionalBool(options.migrationsLedger, 'options.migrationsLedger');
+    assert.optionalString(options.codeVersion, 'options.codeVersion');
+    if (options.migrationsLedger === true) {
+        this._ledger = new migrationsLedger.MigrationsLedger({
+            codeVersion: options.codeVersion,
+            instanceId: this._instanceId,
+            log: options.log,
+            morayClient: options.morayClient
+        });
+    }
+
+    assert.ok(options.lock === undefined || typeof (options.lock) ===
+        'boolean' || typeof (options.lock) === 'object',
+        'options.lock must be a boolean or an object');
+    if (options.lock) {
+        this._lock = new bucketsLock.BucketsInitLock(jsprim.mergeObjects({
+            instanceId: this._instanceId,
+            log: options.log,
+            morayClient: options.morayClient
+        }, null, options.lock === true ? {} : options.lock));
+        this._lock.on('lost', this._onLockLost.bind(this));
+    }
+
+    this._aborter = new Aborter();
+    /*
+     * Name of the step of the initialization pipeline that is currently
+     * running, or that failed if the process failed. See PIPELINE_STEPS.
+     */
+    this._currentStep = undefined;
+    this._failed = false;
+    /*
+     * True if the lock was lost while the initialization process was running.
+     */
+    this._lockLost = false;
+    this._migrations = undefined;
+    /*
+     * True while the initialization process or a data migrations rollback
+     * runs, and "_rollingBack" is true only in the latter case.
+     */
+    this._rollingBack = false;
+    this._running = false;
     this._started = false;
+    this._stopCallbacks = [];
+
+    /*
+     * Outcomes of each phase of the initialization process, keyed by phase
+     * name, and pending promises waiting for those outcomes. See the
+     * "_whenPhase" method.
+     */
+    this._phaseOutcomes = {};
+    this._phaseWaiters = {};
+    /*
+     * Time budget clocks of phases whose backoff policy has a "timeBudget",
+     * keyed by phase name. See the "_phaseDeadline" method.
+     */
+    this._phaseClocks = {};
 
     this._status = {
         bucketsSetup: {
@@ -105,8 +329,118 @@ function MorayBucketsInitializer(options) {
 }
 util.inherits(MorayBucketsInitializer, events.EventEmitter);
 
+/*
+ * Returns a JSON representation of "value" in which object properties are
+ * sorted by name, and functions are represented by their source, so that
+ * equivalent values have the same representation.
+ */
+function stableStringify(value) {
+    if (typeof (value) === 'function') {
+        return JSON.stringify(value.toString());
+    }
+
+    if (Array.isArray(value)) {
+        return '[' + value.map(stableStringify).join(',') + ']';
+    }
+
+    if (value !== null && typeof (value) === 'object') {
+        return '{' + Object.keys(value).sort().filter(function isSet(key) {
+            return value[key] !== undefined;
+        }).map(function stringifyProperty(key) {
+            return JSON.stringify(key) + ':' + stableStringify(value[key]);
+        }).join(',') + '}';
+    }
+
+    if (value === undefined) {
+        return 'null';
+    }
+
+    return JSON.stringify(value);
+}
+
+/*
+ * Names of the phases of the initialization process that can be waited on by
+ * using the "when*" methods. "done" represents the whole process.
+ */
+var PHASE_NAMES = ['bucketsSetup', 'bucketsReindex', 'dataMigrations', 'done'];
+
+/*
+ * Names of the steps of the initialization pipeline, in the order in which they
+ * run. The "retry" method restarts the pipeline at the step that failed.
+ */
+var PIPELINE_STEPS = [
+    'loadDataMigrations',
+    'bucketsSetup',
+    'bucketsReindex',
+    'dataMigrations'
+];
+
+/*
+ * Maps the name of each phase's status object to the name of the
+ * corresponding section in the per-bucket status objects returned by the
+ * "status" method.
+ */
+var BUCKET_STATUS_SECTIONS = {
+    bucketsSetup: 'setup',
+    bucketsReindex: 'reindex',
+    dataMigrations: 'dataMigrations'
+};
+
 MorayBucketsInitializer.prototype.status = function status() {
-    return jsprim.deepCopy(this._status);
+    var bucketsConfig = this._bucketsConfig;
+    var currentStatus = jsprim.deepCopy(this._status);
+
+    /*
+     * Each phase keeps track of its own per-bucket status. These are gathered
+     * into one "buckets" object so that consumers can see the state of a
+     * given bucket across all phases at once.
+     */
+    currentStatus.buckets = {};
+
+    Object.keys(bucketsConfig).forEach(function addBucketStatus(modelName) {
+        /*
+         * The buckets configuration might be invalid, in which case the
+         * process failed with an InvalidBucketsConfigError.
+         */
+        var bucketConfig = bucketsConfig[modelName] || {};
+        var bucketStatus = {bucketName: bucketConfig.name};
+
+        Object.keys(BUCKET_STATUS_SECTIONS).forEach(function addSection(phase) {
+            var phaseBuckets = currentStatus[phase].buckets;
+            var section;
+            var sectionName = BUCKET_STATUS_SECTIONS[phase];
+
+            if (phaseBuckets && phaseBuckets[modelName]) {
+                section = phaseBuckets[modelName];
+                delete section.bucketName;
+            } else if (currentStatus[phase].state === 'SKIPPED') {
+                section = {state: 'SKIPPED'};
+            } else if (currentStatus[phase].completedBy !== undefined) {
+                section = {state: 'DONE'};
+            } else if (phase !== 'dataMigrations') {
+                section = {state: 'NOT_STARTED'};
+            }
+
+            if (section !== undefined) {
+                bucketStatus[sectionName] = section;
+            }
+        });
+
+        currentStatus.buckets[modelName] = bucketStatus;
+    });
+
+    Object.keys(BUCKET_STATUS_SECTIONS).forEach(function removeBuckets(phase) {
+        delete currentStatus[phase].buckets;
+    });
+
+    if (this._lock !== undefined) {
+        currentStatus.lock = {
+            holder: this._lock.holder,
+            state: this._lock.state
+        };
+    }
+
+    return currentStatus;
 };
 
 /*
@@ -138,15 +472,228 @@ MorayBucketsInitializer.prototype.status = function status() {
  * unrecoverable.
  */
 MorayBucketsInitializer.prototype.start = function start() {
+    if (this._started) {
+        throw new errors.BucketsInitAlreadyStartedError();
+    }
+
+    if (this._rollingBack) {
+        throw new errors.BucketsInitBusyError(
+            'data migrations are being rolled back');
+    }
+
+    this._started = true;
+    this._runPipeline(PIPELINE_STEPS[0]);
+};
+
+/*
+ * Restarts the initialization process after it failed with a non-transient
+ * error (or after it was stopped), without having to create a new
+ * MorayBucketsInitializer instance. The process is restarted at the step that
+ * failed: the status of the phases that already completed successfully is kept,
+ * and their events (e.g 'buckets-setup-done') are not emitted again.
+ *
+ * Throws a BucketsInitNotRetryableError if the process was not started, if it
+ * is still running, or if it completed successfully.
+ */
+MorayBucketsInitializer.prototype.retry = function retry() {
     var self = this;
 
-    if (self._started) {
-        throw new errors.BucketsInitAlreadyStartedError();
+    if (!self._started) {
+        throw new errors.BucketsInitNotRetryableError('it was not started');
+    }
+
+    if (self._running) {
+        throw new errors.BucketsInitNotRetryableError('it is still running');
+    }
+
+    if (!self._failed) {
+        throw new errors.BucketsInitNotRetryableError(
+            'it completed successfully');
+    }
+
+    self._log.info({step: self._currentStep},
+        'Retrying buckets initialization');
+
+    /*
+     * Phases that did not complete successfully will run again, so their
+     * previous outcome and status must not be reported anymore.
+     */
+    PHASE_NAMES.forEach(function clearFailedOutcome(phaseName) {
+        var outcome = self._phaseOutcomes[phaseName];
+
+        if (outcome !== undefined && outcome.err) {
+            delete self._phaseOutcomes[phaseName];
+        }
+    });
+
+    Object.keys(self._status).forEach(function resetStatus(phaseName) {
+        var state = self._status[phaseName].state;
+
+        if (state !== 'DONE' && state !== 'SKIPPED') {
+            self._status[phaseName] = {state: 'NOT_STARTED'};
+        }
+    });
+
+    /*
+     * The previous aborter, if the process was stopped, stays aborted.
+     */
+    self._aborter = new Aborter();
+    self._runPipeline(self._currentStep);
+};
+
+/*
+ * Runs the initialization pipeline starting at the step named "firstStep" (one
+ * of PIPELINE_STEPS). If the "lock" constructor option was set, the pipeline
+ * runs only once the lock is acquired, and the lock is released when it
+ * completes. If another instance completes the same initialization process
+ * (see "_initDigest") while this instance waits for the lock, the process is
+ * considered to be complete.
+ *
+ * The buckets configuration is validated first, so that configuration errors
+ * are reported before any request is sent to Moray.
+ */
+MorayBucketsInitializer.prototype._runPipeline =
+function _runPipeline(firstStep) {
+    assert.string(firstStep, 'firstStep');
+    assert.ok(PIPELINE_STEPS.indexOf(firstStep) !== -1,
+        'firstStep must be a pipeline step');
+
+    var configErr;
+    var self = this;
+
+    self._currentStep = firstStep;
+    self._failed = false;
+    self._lockLost = false;
+    self._phaseClocks = {};
+    self._running = true;
+
+    configErr = mod_bucketsConfig.validateBucketsConfig(self._bucketsConfig);
+    if (configErr) {
+        self._status.bucketsSetup = {
+            latestError: configErr,
+            state: 'ERROR'
+        };
+        setImmediate(function onInvalidConfig() {
+            self._onPipelineDone(configErr);
+        });
+        return;
+    }
+
+    if (!self._lock) {
+        self._runPipelineSteps(firstStep, function onStepsDone(stepsErr) {
+            self._onPipelineDone(stepsErr);
+        });
+        return;
+    }
+
+    vasync.waterfall([
+        function computeDigest(next) {
+            self._initDigest(next);
+        },
+        function acquireLock(digest, next) {
+            self._lock.acquire(digest, self._aborter, next);
+        }
+    ], function onLockAcquired(lockErr, result) {
+        if (lockErr) {
+            self._onPipelineDone(lockErr);
+            return;
+        }
+
+        if (!result.acquired) {
+            self._onCompletedByOtherInstance(result.completedBy);
+            return;
+        }
+
+        self._runPipelineSteps(firstStep, function onStepsDone(stepsErr) {
+            self._lock.release(!stepsErr, function onLockReleased() {
+                self._onPipelineDone(stepsErr);
+            });
+        });
+    });
+};
+
+/*
+ * Computes a digest of the work done by the initialization process of this
+ * instance: its buckets configuration, the selected phases and the content of
+ * its data migrations files. It's recorded in the lock, so that an instance
+ * waiting for the lock considers the initialization process to be completed
+ * by the holder only if the holder did the same work. For instance, during a
+ * rolling upgrade, an instance running a new version of a service must set up
+ * its buckets and run its data migrations even if an instance running the
+ * previous version completed its own initialization process in the meantime.
+ *
+ * Calls "callback" as "callback(err, digest)", where "digest" is a hex
+ * string.
+ */
+MorayBucketsInitializer.prototype._initDigest = function _initDigest(callback) {
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    function computeDigest(migrations) {
+        var migrationsChecksums = null;
+
+        if (migrations !== undefined) {
+            migrationsChecksums = {};
+            Object.keys(migrations).forEach(function addChecksums(modelName) {
+                migrationsChecksums[modelName] =
+                    migrations[modelName].map(function getChecksum(migration) {
+                        return migration.fileName + ':' + migration.checksum;
+                    });
+            });
+        }
+
+        return crypto.createHash('sha256').update(stableStringify({
+            bucketsConfig: self._bucketsConfig,
+            dataVersionField: self._dataVersionField,
+            migrations: migrationsChecksums,
+            phases: SELECTABLE_PHASE_NAMES.filter(function isSelected(phase) {
+                return self._isPhaseSelected(phase);
+            })
+        })).digest('hex');
     }
 
-    self._started = true;
+    if (!self._dataMigrationsPath ||
+        !self._isPhaseSelected('dataMigrations')) {
+        setImmediate(callback, null, computeDigest());
+        return;
+    }
 
-    var migrations;
+    /*
+     * Migrations are loaded again, and validated, once the lock is acquired.
+     */
+    dataMigrationsLoader.loadMigrations({
+        log: self._log,
+        migrationsDirPath: self._dataMigrationsPath
+    }, function onMigrationsLoaded(loadErr, migrations) {
+        if (loadErr) {
+            callback(loadErr);
+            return;
+        }
+
+        callback(null, computeDigest(migrations));
+    });
+};
+
+/*
+ * Called when the lock is lost while the initialization process runs. The
+ * process is aborted, since another instance might now be running it.
+ */
+MorayBucketsInitializer.prototype._onLockLost = function _onLockLost() {
+    this._lockLost = true;
+    this._aborter.abort();
+};
+
+/*
+ * Runs the steps of the initialization pipeline starting at the step named
+ * "firstStep", and calls "callback" as "callback(err)" when done.
+ */
+MorayBucketsInitializer.prototype._runPipelineSteps =
+function _runPipelineSteps(firstStep, callback) {
+    assert.string(firstStep, 'firstStep');
+    assert.func(callback, 'callback');
+
+    var self = this;
 
     vasync.pipeline({funcs: [
         /*
@@ -154,55 +701,99 @@ MorayBucketsInitializer.prototype.start = function start() {
          * and validate them early.
          */
         function loadAndValidateDataMigrations(_, next) {
-            if (!self._dataMigrationsPath) {
+            self._currentStep = 'loadDataMigrations';
+
+            if (!self._isPhaseSelected('dataMigrations')) {
                 next();
                 return;
             }
 
-            dataMigrationsLoader.loadMigrations({
-                log: self._log,
-                migrationsDirPath: self._dataMigrationsPath
-            }, function migrationsLoaded(loadMigrationsErr, loadedMigrations) {
-                if (!loadMigrationsErr) {
-                    dataMigrations.validateDataMigrations(self._bucketsConfig,
-                        loadedMigrations);
-                    migrations = loadedMigrations;
+            self._loadDataMigrations({
+                checkLedger: true
+            }, function onLoaded(loadErr, loaded) {
+                if (loadErr) {
+                    self._setMigrationsValidationErrors(loadErr);
                 }
 
-                next(loadMigrationsErr);
+                /*
+                 * The time spent checking the migrations ledger counts
+                 * against the time budget of data migrations, but setting
+                 * up and reindexing buckets in between doesn't.
+                 */
+                self._pausePhaseClock('dataMigrations');
+                self._migrations = loaded;
+                next(loadErr);
             });
         },
         function setupBuckets(_, next) {
+            self._currentStep = 'bucketsSetup';
+
+            if (!self._isPhaseSelected('bucketsSetup')) {
+                self._skipPhase('bucketsSetup');
+                next();
+                return;
+            }
+
             self._log.info('Starting setting up buckets');
 
-            self._status.bucketsSetup =
-                bucketsSetup.setupBuckets(self._bucketsConfig, {
-                    log: self._log,
-                    maxAttempts: self._maxBucketsSetupAttempts,
-                    morayClient: self._morayClient
-                }, function onBucketsSetup(bucketsSetupErr) {
-                    if (!bucketsSetupErr) {
-                        self._log.info('Buckets setup successfully');
-                        self.emit('buckets-setup-done');
-                    } else {
-                        self._log.error({err: bucketsSetupErr},
-                            'Error when setting up buckets');
-                    }
+            vasync.waterfall([
+                function runBeforeSetupHook(done) {
+                    self._runPhaseHook('beforeSetup', 'bucketsSetup', done);
+                },
+                function setupAllBuckets(done) {
+                    self._status.bucketsSetup =
+                        bucketsSetup.setupBuckets(self._bucketsConfig, {
+                            aborter: self._aborter,
+                            backoffPolicy:
+                                self._backoffPolicies.bucketsSetup,
+                            deadline: self._phaseDeadline('bucketsSetup'),
+                            isErrTransient: self._isErrTransient.bucketsSetup,
+                            emitter: self,
+                            hooks: self._hooks,
+                            log: self._log,
+                            maxAttempts: self._maxBucketsSetupAttempts,
+                            morayClient: self._morayClient
+                        }, done);
+                }
+            ], function onBucketsSetup(bucketsSetupErr) {
+                if (!bucketsSetupErr) {
+                    self._log.info('Buckets setup successfully');
+                    self._settlePhase('bucketsSetup');
+                    self.emit('buckets-setup-done');
+                } else {
+                    self._log.error({err: bucketsSetupErr},
+                        'Error when setting up buckets');
+                }
 
-                    next(bucketsSetupErr);
-                });
+                next(bucketsSetupErr);
+            });
         },
         function reindexBuckets(_, next) {
+            self._currentStep = 'bucketsReindex';
+
+            if (!self._isPhaseSelected('bucketsReindex')) {
+                self._skipPhase('bucketsReindex');
+                next();
+                return;
+            }
+
             self._log.info('Starting reindexing buckets');
 
             self._status.bucketsReindex =
                 bucketsReindex.reindexBuckets(self._bucketsConfig, {
+                    aborter: self._aborter,
+                    backoffPolicy: self._backoffPolicies.bucketsReindex,
+                    deadline: self._phaseDeadline('bucketsReindex'),
+                    isErrTransient: self._isErrTransient.bucketsReindex,
+                    emitter: self,
                     log: self._log,
                     maxAttempts: self._maxBucketsReindexAttempts,
-                    morayClient: self._morayClient
+                    morayClient: self._morayClient,
+                    throttle: self._throttle
                 }, function onBucketsReindex(bucketsReindexErr) {
                     if (!bucketsReindexErr) {
                         self._log.info('Buckets reindexed successfully');
+                        self._settlePhase('bucketsReindex');
                         self.emit('buckets-reindex-done');
                     } else {
                         self._log.error({err: bucketsReindexErr},
@@ -213,39 +804,722 @@ MorayBucketsInitializer.prototype.start = function start() {
                 });
         },
         function migrateData(_, next) {
-            if (!self._dataMigrationsPath) {
+            self._currentStep = 'dataMigrations';
+
+            if (!self._isPhaseSelected('dataMigrations')) {
+                self._skipPhase('dataMigrations');
                 next();
                 return;
             }
 
             self._log.info('Starting migrating data');
 
-            self._status.dataMigrations =
-                dataMigrations.runMigrations(migrations, {
-                    bucketsConfig: self._bucketsConfig,
-                    log: self._log,
-                    maxAttempts: self._maxDataMigrationsAttempts,
-                    morayClient: self._morayClient
-                }, function onDataMigrations(migrationsErr) {
-                if (!migrationsErr) {
-                    self._log.info('Data migrations ran successfully!');
-                    self.emit('data-migrations-done');
-                } else {
+            vasync.waterfall([
+                function runBeforeMigrationsHook(done) {
+                    self._runPhaseHook('beforeMigrations', 'dataMigrations',
+                        done);
+                },
+                function runDataMigrations(done) {
+                    if (!self._dataMigrationsPath) {
+                        done();
+                        return;
+                    }
+
+                    self._status.dataMigrations =
+                        dataMigrations.runMigrations(self._migrations, {
+                            aborter: self._aborter,
+                            backoffPolicy:
+                                self._backoffPolicies.dataMigrations,
+                            deadline: self._phaseDeadline('dataMigrations'),
+                            isErrTransient:
+                                self._isErrTransient.dataMigrations,
+                            bucketsConfig: self._bucketsConfig,
+                            dataVersionField: self._dataVersionField,
+                            emitter: self,
+                            ledger: self._ledger,
+                            log: self._log,
+                            maxAttempts: self._maxDataMigrationsAttempts,
+                            maxConcurrentModels: self._maxConcurrentModels,
+                            morayClient: self._morayClient,
+                            /*
+                             * Data migrations rely on buckets being set up
+                             * and reindexed, so if either of these phases is
+                             * not part of this process, we need to make sure
+                             * they completed before. Reindexing a bucket that
+                             * was not set up to the version in its
+                             * configuration doesn't index new fields.
+                             */
+                            requireReindexedBuckets:
+                                !self._isPhaseSelected('bucketsSetup') ||
+                                    !self._isPhaseSelected('bucketsReindex'),
+                            throttle: self._throttle
+                        }, done);
+                },
+                function runAfterMigrationsHook(done) {
+                    self._runPhaseHook('afterMigrations', 'dataMigrations',
+                        done);
+                }
+            ], function onDataMigrations(migrationsErr) {
+                if (migrationsErr) {
                     self._log.error({err: migrationsErr},
                         'Error when running data migrations');
+                    next(migrationsErr);
+                    return;
+                }
+
+                self._settlePhase('dataMigrations');
+
+                if (self._dataMigrationsPath) {
+                    self._log.info('Data migrations ran successfully!');
+                    self.emit('data-migrations-done');
                 }
 
-                next(migrationsErr);
+                next();
+            });
+        }
+    ].slice(PIPELINE_STEPS.indexOf(firstStep))}, function onStepsDone(err) {
+        callback(err);
+    });
+};
+
+/*
+ * Reports the errors of invalid data migrations in "loadErr" (the error
+ * returned by "validateDataMigrations" in lib/data-migrations.js) as the
+ * "latestErrors" of the data migrations phase, keyed by model name. Other
+ * errors that prevent data migrations from being loaded are not reported in
+ * the status of that phase.
+ */
+MorayBucketsInitializer.prototype._setMigrationsValidationErrors =
+function _setMigrationsValidationErrors(loadErr) {
+    assert.object(loadErr, 'loadErr');
+
+    var errsByModel = {};
+    var latestErrors = {};
+
+    verror.errorForEach(loadErr, function addModelError(err) {
+        if (typeof (err.model) !== 'string') {
+            return;
+        }
+
+        if (errsByModel[err.model] === undefined) {
+            errsByModel[err.model] = [];
+        }
+
+        errsByModel[err.model].push(err);
+    });
+
+    if (Object.keys(errsByModel).length === 0) {
+        return;
+    }
+
+    Object.keys(errsByModel).forEach(function setModelError(modelName) {
+        latestErrors[modelName] = verror.errorFromList(errsByModel[modelName]);
+    });
+
+    this._status.dataMigrations = {
+        latestErrors: latestErrors,
+        state: 'ERROR'
+    };
+};
+
+/*
+ * Marks all phases as done by the instance "holder" that completed the
+ * initialization process while this instance was waiting for the lock.
+ */
+MorayBucketsInitializer.prototype._onCompletedByOtherInstance =
+function _onCompletedByOtherInstance(holder) {
+    assert.string(holder, 'holder');
+
+    var self = this;
+
+    self._log.info({holder: holder},
+        'Buckets initialization completed by another instance');
+
+    Object.keys(self._status).forEach(function markDone(phaseName) {
+        self._status[phaseName] = {
+            completedBy: holder,
+            state: 'DONE'
+        };
+        self._settlePhase(phaseName);
+    });
+
+    self._onPipelineDone();
+};
+
+/*
+ * Called when the initialization pipeline completed, successfully if
+ * "bucketsInitErr" is not set. Emits the 'done', 'error' or 'aborted' event
+ * accordingly.
+ */
+MorayBucketsInitializer.prototype._onPipelineDone =
+function _onPipelineDone(bucketsInitErr) {
+    assert.optionalObject(bucketsInitErr, 'bucketsInitErr');
+
+    var aborted;
+    var self = this;
+    var stopCallbacks = self._stopCallbacks;
+
+    /*
+     * When the process was aborted because the lock was lost, it must be
+     * reported as an error, not as a requested stop.
+     */
+    if (bucketsInitErr && self._lockLost) {
+        bucketsInitErr = new errors.BucketsInitLockLostError();
+    }
+
+    aborted = bucketsInitErr !== undefined && bucketsInitErr !== null &&
+        self._aborter.aborted &&
+        verror.hasCauseWithName(bucketsInitErr, 'BucketsInitAbortedError');
+
+    self._failed = Boolean(bucketsInitErr);
+    self._running = false;
+    self._stopCallbacks = [];
+
+    if (bucketsInitErr) {
+        /*
+         * Phases that come after the one that failed will never complete,
+         * so anything waiting on them needs to know about the error too.
+         */
+        PHASE_NAMES.forEach(function settleWithError(phaseName) {
+            self._settlePhase(phaseName, bucketsInitErr);
+        });
+    }
+
+    if (aborted) {
+        self._log.info('Buckets initialization aborted');
+        Object.keys(self._status).forEach(function markAborted(phase) {
+            var phaseBuckets = self._status[phase].buckets || {};
+
+            if (self._status[phase].state !== 'DONE') {
+                self._status[phase].state = 'ABORTED';
+            }
+
+            Object.keys(phaseBuckets).forEach(
+                function markBucketAborted(modelName) {
+                    if (phaseBuckets[modelName].state !== 'DONE') {
+                        phaseBuckets[modelName].state = 'ABORTED';
+                    }
+                });
+        });
+        self.emit('aborted');
+    } else if (bucketsInitErr) {
+        self._log.error({err: bucketsInitErr},
+            'Error when initializing moray buckets');
+        self.emit('error', bucketsInitErr);
+    } else {
+        self._log.info('Buckets initialized successfully');
+        self._settlePhase('done');
+        self.emit('done');
+    }
+
+    stopCallbacks.forEach(function callStopCallback(stopCallback) {
+        stopCallback();
+    });
+};
+
+/*
+ * Returns true if the phase "phaseName" was selected to run with the "phases"
+ * constructor option, false otherwise.
+ */
+MorayBucketsInitializer.prototype._isPhaseSelected =
+function _isPhaseSelected(phaseName) {
+    assert.string(phaseName, 'phaseName');
+
+    return this._phases.indexOf(phaseName) !== -1;
+};
+
+/*
+ * Marks the phase "phaseName" as skipped: its state is set to 'SKIPPED', and
+ * promises waiting on it are resolved, since later phases do not wait for it.
+ */
+MorayBucketsInitializer.prototype._skipPhase = function _skipPhase(phaseName) {
+    assert.string(phaseName, 'phaseName');
+
+    this._log.info('Skipping phase %s', phaseName);
+    this._status[phaseName] = {state: 'SKIPPED'};
+    this._settlePhase(phaseName);
+};
+
+/*
+ * Returns the time, as a number of milliseconds since the epoch, at which the
+ * time budget of the phase "phaseName" runs out, or undefined if the backoff
+ * policy of that phase has no "timeBudget". That budget is shared by all the
+ * backed off processes of a phase (including its hooks and the migrations
+ * ledger check), and its clock starts with the first of them.
+ */
+MorayBucketsInitializer.prototype._phaseDeadline =
+function _phaseDeadline(phaseName) {
+    assert.string(phaseName, 'phaseName');
+
+    var backoffPolicy = this._backoffPolicies[phaseName];
+    var clock;
+
+    if (backoffPolicy === undefined || backoffPolicy.timeBudget === undefined) {
+        return undefined;
+    }
+
+    clock = this._phaseClocks[phaseName];
+    if (clock === undefined) {
+        clock = this._phaseClocks[phaseName] = {
+            deadline: undefined,
+            remaining: backoffPolicy.timeBudget
+        };
+    }
+
+    if (clock.deadline === undefined) {
+        clock.deadline = Date.now() + clock.remaining;
+    }
+
+    return clock.deadline;
+};
+
+/*
+ * Stops the time budget clock of the phase "phaseName" until the next call to
+ * "_phaseDeadline" for that phase, so that the time spent until then doesn't
+ * count against its time budget.
+ */
+MorayBucketsInitializer.prototype._pausePhaseClock =
+function _pausePhaseClock(phaseName) {
+    assert.string(phaseName, 'phaseName');
+
+    var clock = this._phaseClocks[phaseName];
+
+    if (clock !== undefined && clock.deadline !== undefined) {
+        clock.remaining = Math.max(clock.deadline - Date.now(), 0);
+        clock.deadline = undefined;
+    }
+};
+
+/*
+ * Calls the hook "hookName", if it was set with the "hooks" constructor option,
+ * as part of the phase "phaseName" ('bucketsSetup' or 'dataMigrations'), and
+ * calls "callback" as "callback(err)" when done. Hook errors are classified as
+ * transient or not and retried as errors of that phase.
+ */
+MorayBucketsInitializer.prototype._runPhaseHook =
+function _runPhaseHook(hookName, phaseName, callback) {
+    assert.string(hookName, 'hookName');
+    assert.string(phaseName, 'phaseName');
+    assert.func(callback, 'callback');
+
+    var hook = this._hooks[hookName];
+    var hookInfo;
+    var isErrTransientFun;
+    var maxAttempts;
+    var self = this;
+
+    if (hook === undefined) {
+        setImmediate(callback);
+        return;
+    }
+
+    if (phaseName === 'bucketsSetup') {
+        isErrTransientFun = bucketsSetup.isBucketsSetupErrorTransient;
+        maxAttempts = self._maxBucketsSetupAttempts;
+    } else {
+        assert.equal(phaseName, 'dataMigrations');
+        isErrTransientFun = dataMigrations.dataMigrationErrorTransient;
+        maxAttempts = self._maxDataMigrationsAttempts;
+    }
+
+    hookInfo = {
+        bucketsConfig: self._bucketsConfig,
+        log: self._log,
+        morayClient: self._morayClient
+    };
+
+    if (phaseName === 'dataMigrations') {
+        hookInfo.migrations = self._migrations || {};
+    }
+
+    self._log.info('Running hook %s', hookName);
+
+    backedoffProcess.performBackedOffProcess(hookName + ' hook',
+        function tryHook(cb) {
+            invokeAsync(hook, [hookInfo], cb);
+        }, {
+            aborter: self._aborter,
+            backoffPolicy: self._backoffPolicies[phaseName],
+            deadline: self._phaseDeadline(phaseName),
+            getErrContext: function getErrContext() {
+                return {phase: phaseName};
+            },
+            isErrTransient: self._isErrTransient[phaseName],
+            isErrTransientFun: isErrTransientFun,
+            log: self._log,
+            maxAttempts: maxAttempts
+        }, function onHookDone(hookErr) {
+            if (hookErr) {
+                hookErr = new verror.VError(hookErr, 'hook %s failed',
+                    hookName);
+                self._status[phaseName].state = 'ERROR';
+                self._status[phaseName].latestError = hookErr;
+            }
+
+            callback(hookErr);
+        });
+};
+
+/*
+ * Loads and validates data migrations from the directory passed as the
+ * "dataMigrationsPath" constructor option, and calls "callback" as
+ * "callback(err, migrations)". If that option was not set, "migrations" is
+ * undefined. If "options.checkLedger" is true and the "migrationsLedger"
+ * constructor option was set, the ledger is loaded and the checksums of
+ * migrations that were already applied are checked. If data migrations are not
+ * valid, "err" is the error returned by "validateDataMigrations" in
+ * lib/data-migrations.js.
+ */
+MorayBucketsInitializer.prototype._loadDataMigrations =
+function _loadDataMigrations(options, callback) {
+    assert.object(options, 'options');
+    assert.bool(options.checkLedger, 'options.checkLedger');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    if (!self._dataMigrationsPath) {
+        setImmediate(callback);
+        return;
+    }
+
+    dataMigrationsLoader.loadMigrations({
+        log: self._log,
+        migrationsDirPath: self._dataMigrationsPath
+    }, function migrationsLoaded(loadMigrationsErr, loadedMigrations) {
+        var validationErr;
+
+        if (loadMigrationsErr) {
+            callback(loadMigrationsErr);
+            return;
+        }
+
+        validationErr = dataMigrations.validateDataMigrations(
+            self._bucketsConfig, loadedMigrations, {
+                dataVersionField: self._dataVersionField
+            });
+        if (validationErr) {
+            callback(validationErr);
+            return;
+        }
+
+        if (!self._ledger || !options.checkLedger) {
+            callback(null, loadedMigrations);
+            return;
+        }
+
+        backedoffProcess.performBackedOffProcess('migrations ledger check',
+            function checkLedger(cb) {
+                self._ledger.load(function onLedgerLoaded(ledgerErr) {
+                    if (ledgerErr) {
+                        cb(ledgerErr);
+                        return;
+                    }
+
+                    cb(self._ledger.checkChecksums(loadedMigrations));
+                });
+            }, {
+                aborter: self._aborter,
+                backoffPolicy: self._backoffPolicies.dataMigrations,
+                deadline: self._phaseDeadline('dataMigrations'),
+                getErrContext: function getErrContext() {
+                    return {phase: 'dataMigrations'};
+                },
+                isErrTransient: self._isErrTransient.dataMigrations,
+                isErrTransientFun: migrationsLedger.isLedgerErrorTransient,
+                log: self._log,
+                maxAttempts: self._maxDataMigrationsAttempts
+            }, function onLedgerChecked(checkErr) {
+                callback(checkErr, loadedMigrations);
             });
+    });
+};
+
+/*
+ * Computes what the initialization process would do to buckets without
+ * actually changing anything, and calls "callback" as "callback(err, plan)".
+ * See "planBuckets" in lib/buckets-plan.js for the format of "plan". If the
+ * "dataMigrationsPath" constructor option was set, data migrations are loaded
+ * and validated, and the plan includes which models have pending data
+ * migrations. The migrations ledger is not read, so that the only Moray
+ * requests are requests for buckets' metadata. The buckets configuration is
+ * validated first, and "callback" is called with an InvalidBucketsConfigError
+ * if it's not valid.
+ *
+ * This method can be called at any time, regardless of whether the "start"
+ * method was called.
+ */
+MorayBucketsInitializer.prototype.plan = function plan(callback) {
+    assert.func(callback, 'callback');
+
+    var configErr;
+    var self = this;
+
+    configErr = mod_bucketsConfig.validateBucketsConfig(self._bucketsConfig);
+    if (configErr) {
+        setImmediate(callback, configErr);
+        return;
+    }
+
+    self._loadDataMigrations({
+        checkLedger: false
+    }, function onMigrationsLoaded(loadErr, migrations) {
+        if (loadErr) {
+            callback(loadErr);
+            return;
+        }
+
+        bucketsPlan.planBuckets(self._bucketsConfig, {
+            log: self._log,
+            migrations: migrations,
+            morayClient: self._morayClient
+        }, callback);
+    });
+};
+
+/*
+ * Rolls back data migrations for the model "modelName", so that all its records
+ * end up at data version "targetVersion" (0 meaning no data version), and calls
+ * "callback" as "callback(err)" when done. Data migrations are loaded from the
+ * directory passed as the "dataMigrationsPath" constructor option, and each
+ * migration to roll back must export a "rollbackRecord" function (see
+ * "rollbackMigrations" in lib/data-migrations.js).
+ *
+ * This is meant to be used before rolling back to a version of a service that
+ * doesn't support the latest data versions. It can be called regardless of
+ * whether the "start" method was called, but not while the initialization
+ * process or another rollback is running, in which case "callback" is called
+ * with a BucketsInitBusyError. While the rollback runs, the "start" method
+ * throws a BucketsInitBusyError, and the "stop" method stops the rollback, in
+ * which case "callback" is called with a BucketsInitAbortedError. Transient
+ * errors are retried up to the "maxDataMigrationsAttempts" constructor
+ * option, and the 'migration-chunk' and 'model-migrated' events are emitted as
+ * records are rolled back.
+ */
+MorayBucketsInitializer.prototype.rollbackDataMigrations =
+function rollbackDataMigrations(modelName, targetVersion, callback) {
+    assert.string(modelName, 'modelName');
+    assert.object(this._bucketsConfig[modelName],
+        'bucketsConfig[modelName]');
+    assert.number(targetVersion, 'targetVersion');
+    assert.ok(targetVersion >= 0, 'targetVersion >= 0');
+    assert.func(callback, 'callback');
+    assert.string(this._dataMigrationsPath, 'dataMigrationsPath');
+
+    var self = this;
+
+    if (self._running) {
+        setImmediate(callback, new errors.BucketsInitBusyError(
+            self._rollingBack ? 'data migrations are being rolled back' :
+                'the initialization process is running'));
+        return;
+    }
+
+    self._rollingBack = true;
+    self._running = true;
+    self._aborter = new Aborter();
+    self._phaseClocks = {};
+
+    function onRollbackDone(rollbackErr) {
+        var stopCallbacks = self._stopCallbacks;
+
+        self._rollingBack = false;
+        self._running = false;
+        self._stopCallbacks = [];
+
+        callback(rollbackErr);
+
+        stopCallbacks.forEach(function callStopCallback(stopCallback) {
+            stopCallback();
+        });
+    }
+
+    self._loadDataMigrations({
+        checkLedger: true
+    }, function onMigrationsLoaded(loadErr, migrations) {
+        if (loadErr) {
+            onRollbackDone(loadErr);
+            return;
         }
-    ]}, function onBucketsInitialized(bucketsInitErr) {
-        if (bucketsInitErr) {
-            self._log.error({err: bucketsInitErr},
-                'Error when initializing moray buckets');
-            self.emit('error', bucketsInitErr);
+
+        dataMigrations.rollbackMigrations(migrations, {
+            aborter: self._aborter,
+            backoffPolicy: self._backoffPolicies.dataMigrations,
+            bucketsConfig: self._bucketsConfig,
+            deadline: self._phaseDeadline('dataMigrations'),
+            dataVersionField: self._dataVersionField,
+            emitter: self,
+            isErrTransient: self._isErrTransient.dataMigrations,
+            ledger: self._ledger,
+            log: self._log,
+            maxAttempts: self._maxDataMigrationsAttempts,
+            modelName: modelName,
+            morayClient: self._morayClient,
+            targetVersion: targetVersion,
+            throttle: self._throttle
+        }, onRollbackDone);
+    });
+};
+
+/*
+ * Changes the rate limits set with the "rateLimit" constructor option to
+ * "rateLimit", which has the same form. Reindexing and data migrations that are
+ * running or waiting because of the previous limits use the new limits
+ * immediately.
+ */
+MorayBucketsInitializer.prototype.setRateLimit =
+function setRateLimit(rateLimit) {
+    this._throttle.setRateLimit(rateLimit);
+};
+
+/*
+ * Stops the initialization process started by calling the "start" method:
+ * pending backoffs and retry timers are cancelled, and no new work (e.g
+ * reindexing or migrating a new chunk of records) is started. Moray requests
+ * that are already in flight are not interrupted.
+ *
+ * Once those in-flight requests have completed, the 'aborted' event is emitted,
+ * the state of each phase that was not done is set to 'ABORTED', and
+ * "callback", if present, is called. If all remaining work completed anyway,
+ * the 'done' event is emitted instead, but "callback" is still called.
+ *
+ * A data migrations rollback started by calling the "rollbackDataMigrations"
+ * method is stopped the same way, except that no event is emitted: the
+ * rollback's callback is called with a BucketsInitAbortedError, and then
+ * "callback".
+ *
+ * Calling "stop" when the initialization process is not running (because it
+ * was not started, or because it already completed) has no effect other than
+ * calling "callback" asynchronously.
+ */
+MorayBucketsInitializer.prototype.stop = function stop(callback) {
+    assert.optionalFunc(callback, 'callback');
+
+    if (!this._running) {
+        if (callback) {
+            setImmediate(callback);
+        }
+        return;
+    }
+
+    if (callback) {
+        this._stopCallbacks.push(callback);
+    }
+
+    this._log.info('Stopping buckets initialization');
+    this._aborter.abort();
+};
+
+/*
+ * Same as the "start" method, but returns a promise that is resolved when the
+ * 'done' event is emitted, and rejected with the error emitted by the 'error'
+ * event otherwise, or with a BucketsInitAbortedError if the process is stopped
+ * by calling the "stop" method. It settles with the same outcome as the
+ * promise returned by the "whenDone" method. Since the promise handles the
+ * 'error' event, callers do not need to add their own 'error' listener.
+ */
+MorayBucketsInitializer.prototype.startAsync = function startAsync() {
+    var self = this;
+
+    /*
+     * The error is reported by rejecting the promise returned by "whenDone",
+     * this listener is only needed so that emitting 'error' doesn't throw.
+     */
+    function onError() {}
+
+    self.on('error', onError);
+
+    try {
+        self.start();
+    } catch (startErr) {
+        self.removeListener('error', onError);
+        return Promise.reject(startErr);
+    }
+
+    return self.whenDone().then(function onDone() {
+        self.removeListener('error', onError);
+    }, function onDoneError(doneErr) {
+        self.removeListener('error', onError);
+        throw doneErr;
+    });
+};
+
+/*
+ * The following methods return a promise that is resolved when the
+ * corresponding phase of the initialization process completed successfully, or
+ * rejected with the error that made the process fail. Unlike event listeners,
+ * these promises settle even when they are created after the phase
+ * completed.
+ */
+MorayBucketsInitializer.prototype.whenBucketsSetup =
+function whenBucketsSetup() {
+    return this._whenPhase('bucketsSetup');
+};
+
+MorayBucketsInitializer.prototype.whenReindexed = function whenReindexed() {
+    return this._whenPhase('bucketsReindex');
+};
+
+MorayBucketsInitializer.prototype.whenMigrated = function whenMigrated() {
+    return this._whenPhase('dataMigrations');
+};
+
+MorayBucketsInitializer.prototype.whenDone = function whenDone() {
+    return this._whenPhase('done');
+};
+
+MorayBucketsInitializer.prototype._whenPhase = function _whenPhase(phaseName) {
+    assert.string(phaseName, 'phaseName');
+
+    var self = this;
+
+    return new Promise(function phasePromise(resolve, reject) {
+        var outcome = self._phaseOutcomes[phaseName];
+
+        if (outcome !== undefined) {
+            if (outcome.err) {
+                reject(outcome.err);
+            } else {
+                resolve();
+            }
+            return;
+        }
+
+        if (self._phaseWaiters[phaseName] === undefined) {
+            self._phaseWaiters[phaseName] = [];
+        }
+
+        self._phaseWaiters[phaseName].push({
+            reject: reject,
+            resolve: resolve
+        });
+    });
+};
+
+/*
+ * Records the outcome of the phase "phaseName" and settles all promises that
+ * were waiting for it. Only the first outcome recorded for a given phase is
+ * taken into account.
+ */
+MorayBucketsInitializer.prototype._settlePhase =
+function _settlePhase(phaseName, err) {
+    assert.string(phaseName, 'phaseName');
+    assert.optionalObject(err, 'err');
+
+    var waiters = this._phaseWaiters[phaseName] || [];
+
+    if (this._phaseOutcomes[phaseName] !== undefined) {
+        return;
+    }
+
+    this._phaseOutcomes[phaseName] = {err: err};
+    delete this._phaseWaiters[phaseName];
+
+    waiters.forEach(function settleWaiter(waiter) {
+        if (err) {
+            waiter.reject(err);
         } else {
-            self._log.info('Buckets initialized successfully');
-            self.emit('done');
+            waiter.resolve();
         }
     });
 };
@@ -0,0 +1,435 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * A BucketsInitLock instance implements a lock shared by all instances of a
+ * service that initialize the same Moray buckets, so that only one of them
+ * sets up, reindexes and migrates buckets at a time.
+ *
+ * The lock is a Moray object stored in the metadata bucket (see
+ * lib/meta-bucket.js) under the key "lock:<name>". Its value has the following
+ * properties:
+ *
+ * - "type": always 'lock'
+ *
+ * - "holder": the instance ID of the process that holds, or last held, the
+ *   lock
+ *
+ * - "token": a random string that identifies each acquisition of the lock
+ *
+ * - "state": 'HELD' or 'RELEASED'
+ *
+ * - "acquired_at", "expires_at" and "released_at": ISO 8601 timestamps
+ *
+ * - "digest": identifies the work done by the holder's buckets
+ *   initialization process (see the "_initDigest" method in
+ *   lib/buckets-initializer.js)
+ *
+ * - "completed": when the lock is released, true if the holder completed the
+ *   buckets initialization process successfully
+ *
+ * All writes to the lock object use etags, so that when several processes
+ * race to acquire or renew it, only one of them succeeds. The holder renews
+ * its lease periodically. A lock that was not renewed before it expired can be
+ * acquired by another process, in which case the previous holder considers
+ * it lost. Since expiry is determined by comparing timestamps written by
+ * different hosts, lease durations must be much larger than the clock skew
+ * between these hosts.
+ *
+ * BucketsInitLock instances emit a 'lost' event when the lock is lost while
+ * it's held.
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var events = require('events');
+var util = require('util');
+var VError = require('verror');
+
+var errors = require('./errors');
+var metaBucket = require('./meta-bucket');
+
+var DEFAULT_LEASE_DURATION_MS = 60000;
+var DEFAULT_LOCK_NAME = 'buckets-init';
+var DEFAULT_POLL_INTERVAL_MS = 5000;
+var LOCK_ENTRY_TYPE = 'lock';
+
+function BucketsInitLock(options) {
+    events.EventEmitter.call(this);
+
+    assert.object(options, 'options');
+    assert.string(options.instanceId, 'options.instanceId');
+    assert.optionalNumber(options.leaseDurationMs, 'options.leaseDurationMs');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.optionalString(options.name, 'options.name');
+    assert.optionalNumber(options.pollIntervalMs, 'options.pollIntervalMs');
+    assert.optionalNumber(options.renewIntervalMs, 'options.renewIntervalMs');
+
+    this._instanceId = options.instanceId;
+    this._key = util.format('%s:%s', LOCK_ENTRY_TYPE,
+        options.name || DEFAULT_LOCK_NAME);
+    this._leaseDurationMs = options.leaseDurationMs ||
+        DEFAULT_LEASE_DURATION_MS;
+    this._log = options.log;
+    this._morayClient = options.morayClient;
+    this._pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this._renewIntervalMs = options.renewIntervalMs ||
+        Math.floor(this._leaseDurationMs / 3);
+
+    assert.ok(this._renewIntervalMs < this._leaseDurationMs,
+        'renewIntervalMs must be lower than leaseDurationMs');
+
+    /*
+     * The value and etag of the lock object as last written by this instance,
+     * while it holds the lock.
+     */
+    this._entry = undefined;
+    this._etag = undefined;
+    this._renewTimer = undefined;
+
+    /*
+     * One of 'NOT_ACQUIRED', 'WAITING', 'HELD', 'RELEASED' or 'LOST', and the
+     * instance ID of the latest known holder of the lock.
+     */
+    this.state = 'NOT_ACQUIRED';
+    this.holder = undefined;
+}
+util.inherits(BucketsInitLock, events.EventEmitter);
+
+/*
+ * Acquires the lock, waiting for it to be released or to expire if another
+ * process holds it, and calls "callback" as "callback(err, result)".
+ * "digest" is a string that identifies the work this instance would do while
+ * holding the lock, and is recorded in the lock object. "result" is an object
+ * with the following properties:
+ *
+ * - "acquired": true if the lock was acquired
+ *
+ * - "completedBy": if the lock was not acquired because the process that held
+ *   it while this instance was waiting released it after completing the
+ *   buckets initialization process successfully with the same "digest", the
+ *   instance ID of that process. When the digest is different (e.g because
+ *   that process runs a different version of the same service), there's still
+ *   work left to do, so the lock is acquired.
+ *
+ * If "aborter" is aborted while waiting, "callback" is called with a
+ * BucketsInitAbortedError.
+ */
+BucketsInitLock.prototype.acquire = function acquire(digest, aborter,
+    callback) {
+    assert.string(digest, 'digest');
+    assert.object(aborter, 'aborter');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    /*
+     * The token of the acquisition that was in effect while this instance was
+     * waiting, so that its release can be attributed to the holder that was
+     * waited on, and not to an earlier run.
+     */
+    var awaitedToken;
+    var pollTimer;
+
+    function onAbort() {
+        clearTimeout(pollTimer);
+        self.state = 'NOT_ACQUIRED';
+        callback(new errors.BucketsInitAbortedError());
+    }
+
+    function scheduleNextAttempt() {
+        /*
+         * The 'abort' event may have been emitted while the previous attempt
+         * was in flight, in which case waiting for the next one would delay
+         * the abort by a whole poll interval.
+         */
+        if (aborter.aborted) {
+            onAbort();
+            return;
+        }
+
+        pollTimer = setTimeout(function onPollTimer() {
+            aborter.removeListener('abort', onAbort);
+            tryAcquire();
+        }, self._pollIntervalMs);
+        aborter.once('abort', onAbort);
+    }
+
+    function tryAcquire() {
+        if (aborter.aborted) {
+            onAbort();
+            return;
+        }
+
+        self._tryAcquire(awaitedToken, digest,
+            function onAttempt(attemptErr, result) {
+                if (attemptErr) {
+                    self._log.warn({err: attemptErr},
+                        'Error when trying to acquire lock, retrying');
+                    scheduleNextAttempt();
+                    return;
+                }
+
+                if (result.acquired) {
+                    callback(null, {acquired: true});
+                    return;
+                }
+
+                if (result.entry.state === 'HELD') {
+                    awaitedToken = result.entry.token;
+                } else if (result.entry.token === awaitedToken &&
+                    result.entry.completed === true &&
+                    result.entry.digest === digest) {
+                    self.state = 'RELEASED';
+                    callback(null, {
+                        acquired: false,
+                        completedBy: result.entry.holder
+                    });
+                    return;
+                }
+
+                self.state = 'WAITING';
+                self._log.info({holder: result.entry.holder},
+                    'Lock is held by another instance, waiting');
+                scheduleNextAttempt();
+            });
+    }
+
+    tryAcquire();
+};
+
+/*
+ * Performs one attempt at acquiring the lock, and calls "callback" as
+ * "callback(err, {acquired, entry})", where "entry" is the value of the lock
+ * object that prevented this instance from acquiring it. The lock is not
+ * acquired if it was released by the acquisition identified by
+ * "awaitedToken" after it completed successfully with the same "digest",
+ * since there's nothing left to do in that case.
+ */
+BucketsInitLock.prototype._tryAcquire =
+function _tryAcquire(awaitedToken, digest, callback) {
+    assert.optionalString(awaitedToken, 'awaitedToken');
+    assert.string(digest, 'digest');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    self._morayClient.getObject(metaBucket.META_BUCKET_NAME, self._key, {
+        noCache: true
+    }, function onGetLock(getErr, obj) {
+        var entry;
+
+        if (getErr) {
+            if (VError.hasCauseWithName(getErr, 'BucketNotFoundError')) {
+                metaBucket.ensureMetaBucket(self._morayClient, self._log,
+                    function onBucketReady(bucketErr) {
+                        if (bucketErr) {
+                            callback(bucketErr);
+                            return;
+                        }
+
+                        self._tryAcquire(awaitedToken, digest, callback);
+                    });
+                return;
+            }
+
+            if (VError.hasCauseWithName(getErr, 'ObjectNotFoundError')) {
+                self._writeAcquiredEntry(null, digest, callback);
+                return;
+            }
+
+            callback(getErr);
+            return;
+        }
+
+        entry = obj.value;
+        self.holder = entry.holder;
+
+        if (entry.state === 'HELD' &&
+            Date.parse(entry.expires_at) > Date.now()) {
+            callback(null, {acquired: false, entry: entry});
+            return;
+        }
+
+        if (entry.state === 'RELEASED' && entry.completed === true &&
+            entry.token === awaitedToken) {
+            if (entry.digest === digest) {
+                callback(null, {acquired: false, entry: entry});
+                return;
+            }
+
+            self._log.info({holder: entry.holder},
+                'Lock released by an instance that completed different work, ' +
+                    'acquiring it');
+        }
+
+        if (entry.state === 'HELD') {
+            self._log.warn({holder: entry.holder, expiresAt: entry.expires_at},
+                'Lock expired, taking it over');
+        }
+
+        self._writeAcquiredEntry(obj._etag, digest,
+            function onWritten(writeErr, result) {
+                /*
+                 * When the write fails because of a conflict, another instance
+                 * acquired the lock first, so this instance waits for it.
+                 */
+                if (writeErr &&
+                    VError.hasCauseWithName(writeErr, 'EtagConflictError')) {
+                    callback(null, {acquired: false, entry: entry});
+                    return;
+                }
+
+                callback(writeErr, result);
+            });
+    });
+};
+
+BucketsInitLock.prototype._writeAcquiredEntry =
+function _writeAcquiredEntry(etag, digest, callback) {
+    assert.optionalString(etag, 'etag');
+    assert.string(digest, 'digest');
+    assert.func(callback, 'callback');
+
+    var now = Date.now();
+    var self = this;
+    var entry = {
+        type: LOCK_ENTRY_TYPE,
+        holder: self._instanceId,
+        token: crypto.randomBytes(16).toString('hex'),
+        digest: digest,
+        state: 'HELD',
+        acquired_at: new Date(now).toISOString(),
+        expires_at: new Date(now + self._leaseDurationMs).toISOString()
+    };
+
+    self._morayClient.putObject(metaBucket.META_BUCKET_NAME, self._key, entry, {
+        etag: etag
+    }, function onPut(putErr, res) {
+        if (putErr) {
+            if (etag === null &&
+                VError.hasCauseWithName(putErr, 'EtagConflictError')) {
+                /*
+                 * Another instance created the lock object first.
+                 */
+                callback(null, {acquired: false, entry: {state: 'HELD'}});
+                return;
+            }
+
+            callback(putErr);
+            return;
+        }
+
+        self._log.info({token: entry.token}, 'Acquired lock');
+
+        self._entry = entry;
+        self._etag = res.etag;
+        self.holder = self._instanceId;
+        self.state = 'HELD';
+        self._scheduleRenewal();
+
+        callback(null, {acquired: true});
+    });
+};
+
+BucketsInitLock.prototype._scheduleRenewal = function _scheduleRenewal() {
+    var self = this;
+
+    self._renewTimer = setTimeout(function renew() {
+        self._renew();
+    }, self._renewIntervalMs);
+};
+
+BucketsInitLock.prototype._renew = function _renew() {
+    var renewedEntry;
+    var self = this;
+
+    if (self.state !== 'HELD') {
+        return;
+    }
+
+    renewedEntry = metaBucket.extendEntry(self._entry, {
+        expires_at: new Date(Date.now() + self._leaseDurationMs).toISOString()
+    });
+
+    self._morayClient.putObject(metaBucket.META_BUCKET_NAME, self._key,
+        renewedEntry, {etag: self._etag}, function onRenewed(putErr, res) {
+            if (self.state !== 'HELD') {
+                return;
+            }
+
+            if (!putErr) {
+                self._entry = renewedEntry;
+                self._etag = res.etag;
+                self._scheduleRenewal();
+                return;
+            }
+
+            if (VError.hasCauseWithName(putErr, 'EtagConflictError') ||
+                Date.parse(self._entry.expires_at) <= Date.now()) {
+                self._onLost(putErr);
+                return;
+            }
+
+            self._log.warn({err: putErr},
+                'Error when renewing lock, retrying');
+            self._scheduleRenewal();
+        });
+};
+
+BucketsInitLock.prototype._onLost = function _onLost(err) {
+    this._log.error({err: err}, 'Lost lock');
+    this.state = 'LOST';
+    this._entry = undefined;
+    this._etag = undefined;
+    this.emit('lost', err);
+};
+
+/*
+ * Releases the lock if it's held by this instance, recording whether the
+ * buckets initialization process completed successfully ("completed"), and
+ * calls "callback" as "callback()". Errors are logged but not reported: the
+ * lock will eventually expire anyway.
+ */
+BucketsInitLock.prototype.release = function release(completed, callback) {
+    assert.bool(completed, 'completed');
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    clearTimeout(self._renewTimer);
+
+    if (self.state !== 'HELD') {
+        setImmediate(callback);
+        return;
+    }
+
+    self._morayClient.putObject(metaBucket.META_BUCKET_NAME, self._key,
+        metaBucket.extendEntry(self._entry, {
+            state: 'RELEASED',
+            released_at: new Date().toISOString(),
+            completed: completed
+        }), {etag: self._etag}, function onReleased(putErr) {
+            if (putErr) {
+                self._log.error({err: putErr}, 'Error when releasing lock');
+            } else {
+                self._log.info({completed: completed}, 'Released lock');
+            }
+
+            self._entry = undefined;
+            self._etag = undefined;
+            self.state = 'RELEASED';
+            callback();
+        });
+};
+
+module.exports = {
+    BucketsInitLock: BucketsInitLock
+};
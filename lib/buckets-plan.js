@@ -0,0 +1,193 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * This module implements a "dry run" of the buckets setup process: it reports
+ * what setting up buckets would do without actually writing anything to moray.
+ */
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+var verror = require('verror');
+
+var bucketsReindex = require('./buckets-reindex');
+var bucketsSetup = require('./buckets-setup');
+
+/*
+ * Returns true if the bucket represented by "oldBucketObject" will need to be
+ * reindexed once set up as described by "bucketPlan", false otherwise. Newly
+ * created buckets are empty, and thus never need reindexing. Existing buckets
+ * need to be reindexed if a previous reindexing operation is not complete, or
+ * if updating them changes their indexes.
+ */
+function isReindexNeeded(oldBucketObject, bucketPlan) {
+    assert.optionalObject(oldBucketObject, 'oldBucketObject');
+    assert.object(bucketPlan, 'bucketPlan');
+
+    if (oldBucketObject === undefined) {
+        return false;
+    }
+
+    if (bucketsReindex.isReindexActive(oldBucketObject)) {
+        return true;
+    }
+
+    return bucketPlan.action === 'update' &&
+        (bucketPlan.diff.indexesAdded.length > 0 ||
+        Object.keys(bucketPlan.diff.indexesChanged).length > 0);
+}
+
+/*
+ * Computes what setting up buckets as described by "bucketsConfig" would do,
+ * and calls "callback" with the resulting plan. The only moray requests
+ * performed are "getBucket" requests.
+ *
+ * @params {Object} bucketsConfig: the buckets configuration, as passed to the
+ *   MorayBucketsInitializer constructor
+ *
+ * @params {Object} options:
+ *
+ *   - {Object} log: the bunyan logger to use to log messages
+ *
+ *   - {Object} morayClient: the moray client to use to load buckets
+ *
+ *   - {Object} migrations (optional): the data migrations, as loaded by
+ *     "dataMigrationsLoader.loadMigrations", used to estimate which models
+ *     have pending data migrations
+ *
+ * @params {Function} callback: called as "callback(err, plan)" where "err" is
+ *   set if loading any bucket failed, and "plan" is an object of the following
+ *   form:
+ *
+ * {
+ *     buckets: {
+ *         model_name: {
+ *             bucketName: 'some_bucket',
+ *             action: 'update',
+ *             oldVersion: 1,
+ *             newVersion: 2,
+ *             diff: schemaDiff,
+ *             reindexNeeded: true,
+ *             targetDataVersion: 3,
+ *             pendingDataMigrations: true
+ *         }
+ *     },
+ *     bucketsToReindex: ['model_name'],
+ *     modelsWithPendingDataMigrations: ['model_name']
+ * }
+ *
+ * "action" is one of 'create', 'update', 'none' or 'fail'. When "action" is
+ * 'fail', the "error" property is set to the error that setting up that bucket
+ * would result in (e.g an InvalidIndexesRemovalError, an
+ * InvalidIndexTypeChangeError or a SchemaChangesSameVersionError). See
+ * "bucketsSetup.planBucketChange" for more details.
+ *
+ * Whether data migrations are pending is an estimate: records are not loaded,
+ * so any existing bucket for a model that has data migrations is considered to
+ * have pending data migrations.
+ */
+function planBuckets(bucketsConfig, options, callback) {
+    assert.object(bucketsConfig, 'bucketsConfig');
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    assert.optionalObject(options.migrations, 'options.migrations');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.func(callback, 'callback');
+
+    var log = options.log;
+    var migrations = options.migrations || {};
+    var morayClient = options.morayClient;
+    var plan = {
+        buckets: {},
+        bucketsToReindex: [],
+        modelsWithPendingDataMigrations: []
+    };
+
+    vasync.forEachPipeline({
+        func: function planBucket(modelName, next) {
+            var bucketConfig = bucketsConfig[modelName];
+
+            assert.object(bucketConfig, 'bucketConfig');
+            assert.string(bucketConfig.name, 'bucketConfig.name');
+            assert.object(bucketConfig.schema, 'bucketConfig.schema');
+
+            log.info({bucketName: bucketConfig.name},
+                'Loading moray bucket to plan its setup...');
+
+            morayClient.getBucket(bucketConfig.name,
+                function onGetBucket(getBucketErr, oldBucketObject) {
+                    var bucketPlan;
+                    var modelMigrations = migrations[modelName];
+
+                    if (getBucketErr &&
+                        verror.hasCauseWithName(getBucketErr,
+                            'BucketNotFoundError')) {
+                        getBucketErr = null;
+                        oldBucketObject = undefined;
+                    }
+
+                    if (getBucketErr) {
+                        next(getBucketErr);
+                        return;
+                    }
+
+                    bucketPlan =
+                        bucketsSetup.planBucketChange(bucketConfig.name,
+                            oldBucketObject, bucketConfig.schema,
+                            bucketConfig.allowedIndexChanges);
+                    bucketPlan.bucketName = bucketConfig.name;
+
+                    bucketPlan.reindexNeeded = isReindexNeeded(oldBucketObject,
+                        bucketPlan);
+
+                    /*
+                     * Newly created buckets are empty, and thus do not need
+                     * any data migration.
+                     */
+                    if (modelMigrations && modelMigrations.length > 0) {
+                        bucketPlan.targetDataVersion =
+                            modelMigrations[modelMigrations.length - 1]
+                                .DATA_VERSION;
+                        bucketPlan.pendingDataMigrations =
+                            oldBucketObject !== undefined;
+                    } else {
+                        bucketPlan.pendingDataMigrations = false;
+                    }
+
+                    if (bucketPlan.reindexNeeded) {
+                        plan.bucketsToReindex.push(modelName);
+                    }
+
+                    if (bucketPlan.pendingDataMigrations) {
+                        plan.modelsWithPendingDataMigrations.push(modelName);
+                    }
+
+                    plan.buckets[modelName] = bucketPlan;
+
+                    next();
+                });
+        },
+        inputs: Object.keys(bucketsConfig)
+    }, function onAllBucketsPlanned(planErr) {
+        if (planErr) {
+            log.error({err: planErr}, 'Error when planning buckets setup');
+            callback(planErr);
+            return;
+        }
+
+        log.info({plan: plan}, 'Buckets setup planned successfully');
+
+        callback(null, plan);
+    });
+}
+
+module.exports = {
+    planBuckets: planBuckets
+};
@@ -9,13 +9,45 @@
  */
 
 var assert = require('assert-plus');
+var events = require('events');
 var vasync = require('vasync');
 
+var errors = require('./errors');
+var mod_bucketStatus = require('./bucket-status');
 var performBackedOffProcess =
     require('./backedoff-process').performBackedOffProcess;
+
+/*
+ * Returns true if the bucket object "bucketObject" loaded from moray has a
+ * reindexing operation that is not complete, false otherwise.
+ */
+function isReindexActive(bucketObject) {
+    assert.object(bucketObject, 'bucketObject');
+
+    return bucketObject.reindex_active !== undefined &&
+        bucketObject.reindex_active !== null &&
+        Object.keys(bucketObject.reindex_active).length > 0;
+}
+
 /*
  * Reindexes all buckets and calls "callback" when it's done.
  *
+ * If "options.emitter" is set, the following events are emitted on it:
+ *
+ * - 'bucket-reindex-progress' each time a batch of objects of a bucket was
+ *   reindexed, with a payload of the form {model, bucketName, processed,
+ *   totalProcessed}, where "processed" is the number of objects reindexed by
+ *   that batch, and "totalProcessed" the number of objects reindexed in that
+ *   bucket so far, across all attempts.
+ *
+ * - 'bucket-reindexed' when all objects of a bucket were reindexed, with a
+ *   payload of the form {model, bucketName, totalProcessed}.
+ *
+ * Returns a status object whose "buckets" property has a per-bucket section
+ * for each model (see lib/bucket-status.js). In addition to the common
+ * properties, these sections have a "processed" property: the number of objects
+ * reindexed in that bucket so far.
+ *
  * @param {Function} callback - a function called when either the reindexing
  *   process is complete for all buckets, or when an error occurs. It is called
  *   as "callback(null)" if the reindexing process completed with no error, or
@@ -24,30 +56,57 @@ var performBackedOffProcess =
 function reindexBuckets(bucketsConfig, options, callback) {
     assert.object(bucketsConfig, 'bucketsConfig');
     assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
+    assert.optionalObject(options.backoffPolicy, 'options.backoffPolicy');
+    assert.optionalNumber(options.deadline, 'options.deadline');
+    assert.optionalObject(options.emitter, 'options.emitter');
+    assert.optionalFunc(options.isErrTransient, 'options.isErrTransient');
     assert.object(options.log, 'options.log');
     assert.optionalNumber(options.maxAttempts, 'options.maxAttempts');
     assert.object(options.morayClient, 'options.morayClient');
+    assert.optionalObject(options.throttle, 'options.throttle');
     assert.func(callback, 'callback');
 
-    var bucketConfigName;
-    var bucketsList = [];
-    var bucketsReindexStatus = {state: 'STARTED'};
+    var aborter = options.aborter;
+    var bucketsReindexStatus = {attemptsHistory: [], state: 'STARTED'};
+    var emitter = options.emitter || new events.EventEmitter();
     var log = options.log;
     var maxAttempts = options.maxAttempts;
+    var modelNames = Object.keys(bucketsConfig);
     var morayClient = options.morayClient;
 
-    for (bucketConfigName in bucketsConfig) {
-        bucketsList.push(bucketsConfig[bucketConfigName]);
-    }
+    modelNames.forEach(function initStatus(modelName) {
+        var bucketStatus =
+            mod_bucketStatus.initBucketStatus(bucketsReindexStatus, modelName,
+                bucketsConfig[modelName].name);
+        bucketStatus.processed = 0;
+    });
 
     performBackedOffProcess('buckets reindex',
-        _tryReindexBuckets.bind(null, bucketsList, bucketsReindexStatus, {
-            log: log,
-            morayClient: morayClient
-        }), {
+        _tryReindexBuckets.bind(null, bucketsConfig, modelNames,
+            bucketsReindexStatus, {
+                aborter: aborter,
+                emitter: emitter,
+                log: log,
+                morayClient: morayClient,
+                throttle: options.throttle
+            }), {
+            aborter: aborter,
+            attemptsHistory: bucketsReindexStatus.attemptsHistory,
+            backoffPolicy: options.backoffPolicy,
+            deadline: options.deadline,
+            getErrContext: function getErrContext(err) {
+                var context = mod_bucketStatus.findFailedBucket(
+                    bucketsReindexStatus, err);
+
+                context.phase = 'bucketsReindex';
+                return context;
+            },
+            isErrTransient: options.isErrTransient,
             isErrTransientFun: function isReindexErrorTransient(/* err */) {
                 /*
-                 * Reindexing errors are always transient.
+                 * Reindexing errors are always transient, unless
+                 * "options.isErrTransient" decides otherwise.
                  */
                 return true;
             },
@@ -58,40 +117,70 @@ function reindexBuckets(bucketsConfig, options, callback) {
     return bucketsReindexStatus;
 }
 
-function _tryReindexBuckets(buckets, status, options, cb) {
-    assert.arrayOfObject(buckets, 'buckets');
+function _tryReindexBuckets(bucketsConfig, modelNames, status, options, cb) {
+    assert.object(bucketsConfig, 'bucketsConfig');
+    assert.arrayOfString(modelNames, 'modelNames');
     assert.object(status, 'status');
     assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
+    assert.object(options.emitter, 'options.emitter');
     assert.object(options.log, 'options.log');
     assert.object(options.morayClient, 'options.morayClient');
+    assert.optionalObject(options.throttle, 'options.throttle');
     assert.func(cb, 'cb');
 
+    var aborter = options.aborter;
+    var emitter = options.emitter;
     var log = options.log;
     var morayClient = options.morayClient;
 
     vasync.forEachPipeline({
-        func: function reindex(bucketConfig, done) {
+        func: function reindex(modelName, done) {
+            var bucketConfig = bucketsConfig[modelName];
+
             assert.object(bucketConfig, 'bucketConfig');
             assert.string(bucketConfig.name, 'bucketConfig.name');
 
             var bucketName = bucketConfig.name;
+            var bucketStatus = mod_bucketStatus.initBucketStatus(status,
+                modelName, bucketName);
 
             log.info('Reindexing bucket ' + bucketName + '...');
 
-            reindexBucket(bucketName, morayClient,
-                function reindexDone(reindexErr) {
-                    if (reindexErr) {
-                        log.error({err: reindexErr},
-                            'Error when reindexing bucket ' + bucketName);
-                    } else {
-                        log.info('Bucket ' + bucketName +
-                            ' reindexed successfully');
-                    }
-
-                    done(reindexErr);
-                });
+            mod_bucketStatus.startBucketAttempt(bucketStatus);
+
+            reindexBucket(bucketName, morayClient, {
+                aborter: aborter,
+                onProgress: function onReindexProgress(processed) {
+                    bucketStatus.processed += processed;
+                    emitter.emit('bucket-reindex-progress', {
+                        model: modelName,
+                        bucketName: bucketName,
+                        processed: processed,
+                        totalProcessed: bucketStatus.processed
+                    });
+                },
+                throttle: options.throttle
+            }, function reindexDone(reindexErr) {
+                mod_bucketStatus.endBucketAttempt(bucketStatus, reindexErr);
+
+                if (reindexErr) {
+                    log.error({err: reindexErr},
+                        'Error when reindexing bucket ' + bucketName);
+                } else {
+                    log.info('Bucket ' + bucketName +
+                        ' reindexed successfully');
+                    emitter.emit('bucket-reindexed', {
+                        model: modelName,
+                        bucketName: bucketName,
+                        totalProcessed: bucketStatus.processed
+                    });
+                }
+
+                done(reindexErr);
+            });
         },
-        inputs: buckets
+        inputs: modelNames
     }, function onAllBucketsReindexed(bucketsReindexErr) {
         if (bucketsReindexErr) {
             status.latestError = bucketsReindexErr;
@@ -111,24 +200,67 @@ function _tryReindexBuckets(buckets, status, options, cb) {
  *
  * @param bucketName {String} Name of the bucket to reindex
  * @param morayClient {MorayClient}
+ * @param options {Object}
+ *   - aborter {Aborter} (optional): when aborted, no more objects are
+ *     reindexed and "callback" is called with a BucketsInitAbortedError
+ *   - onProgress {Function} (optional): called as `onProgress(processed)`
+ *     each time a batch of "processed" objects was reindexed
+ *   - throttle {Throttle} (optional): limits the rate at which objects are
+ *     reindexed (see lib/throttle.js)
  * @param callback {Function} `function (err)`
  */
-function reindexBucket(bucketName, morayClient, callback) {
+function reindexBucket(bucketName, morayClient, options, callback) {
     assert.string(bucketName, 'bucketName');
     assert.object(morayClient, 'morayClient');
+    assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
+    assert.optionalFunc(options.onProgress, 'options.onProgress');
+    assert.optionalObject(options.throttle, 'options.throttle');
     assert.func(callback, 'callback');
 
-    morayClient.reindexObjects(bucketName, 100,
-        function onReindexBucketDone(reindexErr, res) {
-            if (reindexErr || res.processed < 1) {
-                callback(reindexErr);
-                return;
-            }
+    var throttle = options.throttle;
+
+    function reindexNextObjects() {
+        morayClient.reindexObjects(bucketName, 100,
+            function onReindexBucketDone(reindexErr, res) {
+                if (reindexErr || res.processed < 1) {
+                    callback(reindexErr);
+                    return;
+                }
+
+                if (throttle) {
+                    throttle.consume(bucketName, res.processed);
+                }
+
+                if (options.onProgress) {
+                    options.onProgress(res.processed);
+                }
+
+                reindexBucket(bucketName, morayClient, options, callback);
+            });
+    }
+
+    if (options.aborter && options.aborter.aborted) {
+        callback(new errors.BucketsInitAbortedError());
+        return;
+    }
+
+    if (!throttle) {
+        reindexNextObjects();
+        return;
+    }
+
+    throttle.wait(bucketName, options.aborter, function onWaited(waitErr) {
+        if (waitErr) {
+            callback(waitErr);
+            return;
+        }
 
-            reindexBucket(bucketName, morayClient, callback);
-        });
+        reindexNextObjects();
+    });
 }
 
 module.exports = {
+    isReindexActive: isReindexActive,
     reindexBuckets: reindexBuckets
 };
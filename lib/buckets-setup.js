@@ -9,6 +9,7 @@
  */
 
 var assert = require('assert-plus');
+var events = require('events');
 var jsprim = require('jsprim');
 var vasync = require('vasync');
 var verror = require('verror');
@@ -16,6 +17,9 @@ var verror = require('verror');
 var performBackedOffProcess =
     require('./backedoff-process').performBackedOffProcess;
 var errors = require('./errors');
+var invokeAsync = require('./invoke-async').invokeAsync;
+var mod_bucketStatus = require('./bucket-status');
+var schemaDiff = require('./schema-diff');
 
 /*
  * Sets up moray buckets, including creating them if they're missing, or
@@ -36,32 +40,91 @@ var errors = require('./errors');
  * previous setup process terminated, either successfully or with an error, by
  * calling the 'callback' function passed as a parameter. Calling this method
  * while a previous call is still in flight will throw an error.
+ *
+ * If "options.emitter" is set, the following events are emitted on it for each
+ * bucket that is set up: 'bucket-created', 'bucket-updated' and
+ * 'bucket-unchanged'. Their payload is an object with the following properties:
+ * "model", "bucketName", "oldVersion" (null for 'bucket-created') and
+ * "newVersion".
+ *
+ * Returns a status object whose "buckets" property has a per-bucket section
+ * for each model (see lib/bucket-status.js). In addition to the common
+ * properties, these sections have the following properties once the setup of
+ * that bucket succeeded: "action" (one of 'create', 'update' or 'none'),
+ * "oldVersion" (null if the bucket was created) and "newVersion".
+ *
+ * "options.hooks" can be set to an object with the following optional
+ * properties:
+ *
+ * - "afterBucketCreated": a function called once a bucket was created
+ *
+ * - "afterBucketUpdated": a function called once a bucket was updated
+ *
+ * Each of these hooks is called as "hook(info)" where "info" is an object with
+ * the same properties as the payload of the 'bucket-created' and
+ * 'bucket-updated' events, plus "log" and "morayClient". Hooks can be
+ * asynchronous (see lib/invoke-async.js). A bucket is not considered to be set
+ * up until its hook completed successfully: hook errors are handled like any
+ * other error of the buckets setup process, and when the process is retried,
+ * hooks that failed are called again even though their bucket does not need to
+ * be created or updated anymore.
  */
 function setupBuckets(bucketsConfig, options, callback) {
     assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
+    assert.optionalObject(options.backoffPolicy, 'options.backoffPolicy');
+    assert.optionalNumber(options.deadline, 'options.deadline');
+    assert.optionalObject(options.emitter, 'options.emitter');
+    assert.optionalObject(options.hooks, 'options.hooks');
+    assert.optionalFunc(options.isErrTransient, 'options.isErrTransient');
     assert.object(options.log, 'options.log');
     assert.optionalNumber(options.maxAttempts, 'options.maxAttempts');
     assert.object(options.morayClient, 'options.morayClient');
 
-    var bucketConfig;
-    var bucketsList = [];
-    var bucketsSetupStatus = {state: 'STARTED'};
+    var aborter = options.aborter;
+    var bucketsSetupStatus = {attemptsHistory: [], state: 'STARTED'};
+    var emitter = options.emitter || new events.EventEmitter();
+    var hooks = options.hooks || {};
     var log = options.log;
     var maxAttempts = options.maxAttempts;
+    var modelNames = Object.keys(bucketsConfig);
     var morayClient = options.morayClient;
 
     log.info({bucketsConfig: bucketsConfig},
         'Setting up moray buckets...');
 
-    for (bucketConfig in bucketsConfig) {
-        bucketsList.push(bucketsConfig[bucketConfig]);
-    }
+    modelNames.forEach(function initStatus(modelName) {
+        mod_bucketStatus.initBucketStatus(bucketsSetupStatus, modelName,
+            bucketsConfig[modelName].name);
+    });
 
     performBackedOffProcess('buckets setup',
-        _trySetupBuckets.bind(null, bucketsList, bucketsSetupStatus, {
-            morayClient: morayClient,
-            log: log
-        }), {
+        _trySetupBuckets.bind(null, bucketsConfig, modelNames,
+            bucketsSetupStatus, {
+                aborter: aborter,
+                emitter: emitter,
+                hooks: hooks,
+                morayClient: morayClient,
+                log: log,
+                /*
+                 * Hooks that need to be called (again, if they failed) for
+                 * each model, keyed by model name. This needs to be preserved
+                 * across attempts.
+                 */
+                pendingHooks: {}
+            }), {
+            aborter: aborter,
+            attemptsHistory: bucketsSetupStatus.attemptsHistory,
+            backoffPolicy: options.backoffPolicy,
+            deadline: options.deadline,
+            getErrContext: function getErrContext(err) {
+                var context = mod_bucketStatus.findFailedBucket(
+                    bucketsSetupStatus, err);
+
+                context.phase = 'bucketsSetup';
+                return context;
+            },
+            isErrTransient: options.isErrTransient,
             isErrTransientFun: isBucketsSetupErrorTransient,
             log: log,
             maxAttempts: maxAttempts
@@ -80,27 +143,92 @@ function setupBuckets(bucketsConfig, options, callback) {
 }
 
 /*
- * Tries to setup moray buckets as specified by the array "buckets". Calls the
- * function "cb" when done. If there was an error, the "cb" function is called
- * with an error object as its first parameter, otherwise it is called without
- * passing any parameter.
+ * Tries to setup moray buckets for all models in the array "modelNames" as
+ * specified by "bucketsConfig". Calls the function "cb" when done. If there was
+ * an error, the "cb" function is called with an error object as its first
+ * parameter, otherwise it is called without passing any parameter.
  */
-function _trySetupBuckets(buckets, status, options, cb) {
-    assert.arrayOfObject(buckets, 'buckets');
+function _trySetupBuckets(bucketsConfig, modelNames, status, options, cb) {
+    assert.object(bucketsConfig, 'bucketsConfig');
+    assert.arrayOfString(modelNames, 'modelNames');
     assert.object(status, 'status');
     assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
+    assert.object(options.emitter, 'options.emitter');
+    assert.object(options.hooks, 'options.hooks');
     assert.object(options.log, 'options.log');
     assert.object(options.morayClient, 'options.morayClient');
+    assert.object(options.pendingHooks, 'options.pendingHooks');
     assert.func(cb, 'cb');
 
+    var hooks = options.hooks;
+    var pendingHooks = options.pendingHooks;
+
     vasync.forEachPipeline({
-        func: function setupEachBucket(newBucketConfig, done) {
-            var bucketName = newBucketConfig.name;
-            assert.string(bucketName, 'bucketName');
+        func: function setupEachBucket(modelName, done) {
+            if (options.aborter && options.aborter.aborted) {
+                done(new errors.BucketsInitAbortedError());
+                return;
+            }
+
+            var bucketConfig = bucketsConfig[modelName];
+            var bucketStatus = mod_bucketStatus.initBucketStatus(status,
+                modelName, bucketConfig.name);
 
-            _trySetupBucket(bucketName, newBucketConfig, options, done);
+            mod_bucketStatus.startBucketAttempt(bucketStatus);
+
+            _trySetupBucket(modelName, bucketConfig, options,
+                function onBucketSetup(setupErr, setupResult) {
+                    var hookName;
+
+                    if (setupErr) {
+                        mod_bucketStatus.endBucketAttempt(bucketStatus,
+                            setupErr);
+                        done(setupErr);
+                        return;
+                    }
+
+                    /*
+                     * A bucket created or updated by a previous attempt is
+                     * unchanged by the following ones, but what operators
+                     * need to know is that it was created or updated.
+                     */
+                    if (bucketStatus.action === undefined ||
+                        setupResult.action !== 'none') {
+                        bucketStatus.action = setupResult.action;
+                        bucketStatus.oldVersion = setupResult.oldVersion;
+                        bucketStatus.newVersion = setupResult.newVersion;
+                    }
+
+                    if (setupResult.action === 'create') {
+                        hookName = 'afterBucketCreated';
+                    } else if (setupResult.action === 'update') {
+                        hookName = 'afterBucketUpdated';
+                    }
+
+                    if (hookName !== undefined && hooks[hookName]) {
+                        pendingHooks[modelName] = {
+                            hookName: hookName,
+                            info: {
+                                model: modelName,
+                                bucketName: bucketConfig.name,
+                                oldVersion: setupResult.oldVersion,
+                                newVersion: setupResult.newVersion,
+                                log: options.log,
+                                morayClient: options.morayClient
+                            }
+                        };
+                    }
+
+                    _runPendingBucketHook(modelName, options,
+                        function onHookDone(hookErr) {
+                            mod_bucketStatus.endBucketAttempt(bucketStatus,
+                                hookErr);
+                            done(hookErr);
+                        });
+                });
         },
-        inputs: buckets
+        inputs: modelNames
     }, function allBucketsSetup(bucketsSetupErr) {
         if (bucketsSetupErr) {
             status.latestError = bucketsSetupErr;
@@ -115,7 +243,46 @@ function _trySetupBuckets(buckets, status, options, cb) {
 }
 
 /*
- * Tries to set up bucket with name "bucketName" to have configuration
+ * Calls the hook that is pending for the model "modelName" in
+ * "options.pendingHooks", if any, and calls "cb" as "cb(err)" when done. The
+ * hook is not pending anymore once it completed successfully.
+ */
+function _runPendingBucketHook(modelName, options, cb) {
+    assert.string(modelName, 'modelName');
+    assert.object(options, 'options');
+    assert.object(options.hooks, 'options.hooks');
+    assert.object(options.log, 'options.log');
+    assert.object(options.pendingHooks, 'options.pendingHooks');
+    assert.func(cb, 'cb');
+
+    var log = options.log;
+    var pendingHook = options.pendingHooks[modelName];
+
+    if (pendingHook === undefined) {
+        cb();
+        return;
+    }
+
+    log.info('Running hook %s for model %s', pendingHook.hookName,
+        modelName);
+
+    invokeAsync(options.hooks[pendingHook.hookName], [pendingHook.info],
+        function onHookDone(hookErr) {
+            if (hookErr) {
+                log.error({err: hookErr}, 'Error when running hook %s for ' +
+                    'model %s', pendingHook.hookName, modelName);
+                cb(new verror.VError(hookErr, 'hook %s failed for model %s',
+                    pendingHook.hookName, modelName));
+                return;
+            }
+
+            delete options.pendingHooks[modelName];
+            cb();
+        });
+}
+
+/*
+ * Tries to set up the bucket for model "modelName" to have configuration
  * "bucketConfig". The setup process includes, in the following order:
  *
  * 1. creating the bucket if it does not exist.
@@ -125,10 +292,14 @@ function _trySetupBuckets(buckets, status, options, cb) {
  * older code that would rely on the deleted indexes wouldn't be able to work
  * properly, and removing indexes will generate an error.
  *
+ * Calls "cb" as "cb(err, setupResult)", where "setupResult" is an object with
+ * the properties "action", "oldVersion" and "newVersion" once the bucket was
+ * setup successfully.
  */
-function _trySetupBucket(bucketName, bucketConfig, options, cb) {
-    assert.string(bucketName, 'bucketName');
+function _trySetupBucket(modelName, bucketConfig, options, cb) {
+    assert.string(modelName, 'modelName');
     assert.object(bucketConfig, 'bucketConfig');
+    assert.string(bucketConfig.name, 'bucketConfig.name');
     assert.object(bucketConfig.schema, 'bucketConfig.schema');
     assert.optionalObject(bucketConfig.schema.options,
         'bucketConfig.schema.options');
@@ -138,14 +309,18 @@ function _trySetupBucket(bucketName, bucketConfig, options, cb) {
     }
 
     assert.object(options, 'options');
+    assert.object(options.emitter, 'options.emitter');
     assert.object(options.log, 'options.log');
     assert.object(options.morayClient, 'options.morayClient');
 
     assert.func(cb, 'cb');
 
+    var bucketName = bucketConfig.name;
+    var emitter = options.emitter;
     var log = options.log;
     var morayClient = options.morayClient;
     var newBucketSchema = bucketConfig.schema;
+    var setupResult;
 
     vasync.waterfall([
         function loadBucket(next) {
@@ -175,6 +350,18 @@ function _trySetupBucket(bucketName, bucketConfig, options, cb) {
                             log.info('Bucket ' +
                                 bucketName +
                                     ' created successfully');
+                            setupResult = {
+                                action: 'create',
+                                oldVersion: null,
+                                newVersion: normalizeBucketSchema(
+                                    newBucketSchema).options.version
+                            };
+                            emitter.emit('bucket-created', {
+                                model: modelName,
+                                bucketName: bucketName,
+                                oldVersion: setupResult.oldVersion,
+                                newVersion: setupResult.newVersion
+                            });
                         }
 
                         next(createErr, oldBucketObject);
@@ -186,10 +373,7 @@ function _trySetupBucket(bucketName, bucketConfig, options, cb) {
             }
         },
         function updateBucketSchema(oldBucketObject, next) {
-            var newVersion = 0;
-            var oldBucketSchema;
-            var oldVersion = 0;
-            var removedIndexes = [];
+            var bucketChange;
 
             assert.optionalObject(oldBucketObject, 'oldBucketObject');
 
@@ -198,91 +382,183 @@ function _trySetupBucket(bucketName, bucketConfig, options, cb) {
                 return;
             }
 
-            oldBucketSchema = bucketObjectToSchema(oldBucketObject);
-
-            if (oldBucketSchema.options && oldBucketSchema.options.version) {
-                oldVersion = oldBucketSchema.options.version;
-            }
+            bucketChange = planBucketChange(bucketName, oldBucketObject,
+                newBucketSchema, bucketConfig.allowedIndexChanges);
 
-            if (newBucketSchema.options && newBucketSchema.options.version) {
-                newVersion = newBucketSchema.options.version;
+            if (bucketChange.action === 'fail') {
+                next(bucketChange.error);
+                return;
             }
 
-            if (newVersion === oldVersion) {
-                /*
-                 * The version number for the bucket didn't change. It's likely
-                 * that there's simply no change to make to the moray bucket,
-                 * but we still want to make sure that no change was passed
-                 * without bumping the version number of the bucket, which would
-                 * mean that the client program has a bug.
-                 */
-                var normalizedNewSchema =
-                    normalizeBucketSchema(newBucketSchema);
-                var normalizedOldSchema =
-                    normalizeBucketSchema(oldBucketSchema);
-                var sameSchemas = jsprim.deepEqual(normalizedOldSchema,
-                    normalizedNewSchema);
-
-                if (!sameSchemas) {
-                    next(new
-                        errors.SchemaChangesSameVersionError(bucketName,
-                            oldBucketObject, normalizedNewSchema));
-                } else {
+            if (bucketChange.action === 'none') {
+                if (bucketChange.newVersion === bucketChange.oldVersion) {
                     log.info('Bucket ' + bucketName + ' already at ' +
-                        'version >= ' + newVersion + ', no need to ' +
-                        'update it');
-                    next();
-                }
-            } else if (newVersion > oldVersion) {
-                /*
-                 * The version number of the bucket was bumped, we first make
-                 * sure that all changes are backward compatible, and if so
-                 * update the bucket.
-                 */
-                removedIndexes =
-                    indexesRemovedBySchemaChange(oldBucketObject,
-                        newBucketSchema);
-                if (removedIndexes.length > 0) {
-                    /*
-                    * Removing indexes is considered to be a backward
-                    * incompatible change. We don't allow them so that after
-                    * rolling back to a previous version of the code, the code
-                    * can still use any index that it relies on.
-                    */
-                    next(new
-                        errors.InvalidIndexesRemovalError(removedIndexes));
-                    return;
+                        'version >= ' + bucketChange.newVersion + ', no ' +
+                        'need to update it');
                 }
 
-                log.info('Updating bucket ' + bucketName + ' from ' +
-                    'version ' + oldVersion + ' to version ' + newVersion +
-                    '...');
-
-                morayClient.updateBucket(bucketName, newBucketSchema,
-                    function updateDone(updateErr) {
-                        if (updateErr) {
-                            log.error({error: updateErr},
-                                'Error when updating bucket ' +
-                                    bucketName);
-                        } else {
-                            log.info('Bucket ' + bucketName +
-                                ' updated successfully');
-                        }
+                setupResult = {
+                    action: 'none',
+                    oldVersion: bucketChange.oldVersion,
+                    newVersion: bucketChange.newVersion
+                };
+                emitter.emit('bucket-unchanged', {
+                    model: modelName,
+                    bucketName: bucketName,
+                    oldVersion: bucketChange.oldVersion,
+                    newVersion: bucketChange.newVersion
+                });
 
-                        next(updateErr);
-                    });
-            } else {
-                /*
-                 * The version number is lower than the current version number
-                 * in moray. This can be the result of a code rollback. Since we
-                 * make only backward compatible changes for moray buckets, and
-                 * decrementing a bucket's version number is an error, it's ok
-                 * to not change the bucket.
-                 */
                 next();
+                return;
             }
+
+            log.info({diff: bucketChange.diff}, 'Updating bucket ' +
+                bucketName + ' from version ' + bucketChange.oldVersion +
+                ' to version ' + bucketChange.newVersion + ' (' +
+                schemaDiff.describeSchemaDiff(bucketChange.diff) + ')...');
+
+            morayClient.updateBucket(bucketName, newBucketSchema,
+                function updateDone(updateErr) {
+                    if (updateErr) {
+                        log.error({error: updateErr, diff: bucketChange.diff},
+                            'Error when updating bucket ' +
+                                bucketName);
+                    } else {
+                        log.info({diff: bucketChange.diff}, 'Bucket ' +
+                            bucketName + ' updated successfully');
+                        setupResult = {
+                            action: 'update',
+                            oldVersion: bucketChange.oldVersion,
+                            newVersion: bucketChange.newVersion
+                        };
+                        emitter.emit('bucket-updated', {
+                            model: modelName,
+                            bucketName: bucketName,
+                            oldVersion: bucketChange.oldVersion,
+                            newVersion: bucketChange.newVersion
+                        });
+                    }
+
+                    next(updateErr);
+                });
         }
-    ], cb);
+    ], function onBucketSetup(setupErr) {
+        cb(setupErr, setupResult);
+    });
+}
+
+/*
+ * Determines what setting up the bucket with name "bucketName" so that it has
+ * the schema "newBucketSchema" implies, given "oldBucketObject", the bucket
+ * object currently stored in moray ("undefined" if that bucket does not exist).
+ * It does not perform any moray request.
+ *
+ * Returns an object with the following properties:
+ *
+ * - "action": one of 'create', 'update', 'none' or 'fail'
+ *
+ * - "oldVersion": the version of the existing bucket, if it exists
+ *
+ * - "newVersion": the version of "newBucketSchema"
+ *
+ * - "diff": if the bucket exists, the differences between the existing bucket's
+ *   schema and "newBucketSchema", as computed by
+ *   "schemaDiff.diffBucketSchemas"
+ *
+ * - "error": when "action" is 'fail', the non-transient error that setting up
+ *   the bucket would result in. If a bucket update includes several backward
+ *   incompatible changes, it's a VError.MultiError of one error per kind of
+ *   change.
+ *
+ * "allowedIndexChanges" is the optional "allowedIndexChanges" property of the
+ * bucket's configuration (see "incompatibleIndexChanges").
+ */
+function planBucketChange(bucketName, oldBucketObject, newBucketSchema,
+    allowedIndexChanges) {
+    assert.string(bucketName, 'bucketName');
+    assert.optionalObject(oldBucketObject, 'oldBucketObject');
+    assert.object(newBucketSchema, 'newBucketSchema');
+    assert.optionalObject(allowedIndexChanges, 'allowedIndexChanges');
+
+    var bucketChange = {};
+    var incompatibleChangeErrs = [];
+    var normalizedNewSchema = normalizeBucketSchema(newBucketSchema);
+    var normalizedOldSchema;
+    var oldBucketSchema;
+    var removedIndexes = [];
+
+    bucketChange.newVersion = normalizedNewSchema.options.version;
+
+    if (!oldBucketObject) {
+        bucketChange.action = 'create';
+        return bucketChange;
+    }
+
+    oldBucketSchema = bucketObjectToSchema(oldBucketObject);
+    normalizedOldSchema = normalizeBucketSchema(oldBucketSchema);
+
+    bucketChange.oldVersion = normalizedOldSchema.options.version;
+    bucketChange.diff = schemaDiff.diffBucketSchemas(normalizedOldSchema,
+        normalizedNewSchema);
+
+    if (bucketChange.newVersion === bucketChange.oldVersion) {
+        /*
+         * The version number for the bucket didn't change. It's likely that
+         * there's simply no change to make to the moray bucket, but we still
+         * want to make sure that no change was passed without bumping the
+         * version number of the bucket, which would mean that the client
+         * program has a bug.
+         */
+        if (!schemaDiff.isSchemaDiffEmpty(bucketChange.diff)) {
+            bucketChange.action = 'fail';
+            bucketChange.error =
+                new errors.SchemaChangesSameVersionError(bucketName,
+                    normalizedOldSchema, normalizedNewSchema,
+                    bucketChange.diff);
+        } else {
+            bucketChange.action = 'none';
+        }
+    } else if (bucketChange.newVersion > bucketChange.oldVersion) {
+        /*
+         * The version number of the bucket was bumped, we first make sure that
+         * all changes are backward compatible, and if so update the bucket.
+         */
+        removedIndexes = indexesRemovedBySchemaChange(oldBucketSchema,
+            newBucketSchema);
+        if (removedIndexes.length > 0) {
+            /*
+             * Removing indexes is considered to be a backward incompatible
+             * change. We don't allow them so that after rolling back to a
+             * previous version of the code, the code can still use any index
+             * that it relies on.
+             */
+            incompatibleChangeErrs.push(
+                new errors.InvalidIndexesRemovalError(removedIndexes));
+        }
+
+        incompatibleChangeErrs = incompatibleChangeErrs.concat(
+            incompatibleIndexChanges(bucketName, bucketChange.diff,
+                allowedIndexChanges));
+
+        if (incompatibleChangeErrs.length > 0) {
+            bucketChange.action = 'fail';
+            bucketChange.error = verror.errorFromList(incompatibleChangeErrs);
+        } else {
+            bucketChange.action = 'update';
+        }
+    } else {
+        /*
+         * The version number is lower than the current version number in
+         * moray. This can be the result of a code rollback. Since we make only
+         * backward compatible changes for moray buckets, and decrementing a
+         * bucket's version number is an error, it's ok to not change the
+         * bucket.
+         */
+        bucketChange.action = 'none';
+    }
+
+    return bucketChange;
 }
 
 function normalizeBucketSchema(bucketSchema) {
@@ -353,6 +629,83 @@ function indexesRemovedBySchemaChange(oldBucketSchema, newBucketSchema) {
     return indexesRemoved;
 }
 
+/*
+ * Kinds of changes to existing indexes that are backward incompatible, and the
+ * error constructor used to report each of them.
+ */
+var INDEX_CHANGE_ERRORS = {
+    array: errors.InvalidIndexArrayChangeError,
+    type: errors.InvalidIndexTypeChangeError,
+    unique: errors.InvalidIndexUniqueChangeError
+};
+
+function isArrayIndexType(type) {
+    return typeof (type) === 'string' && /^\[.*\]$/.test(type);
+}
+
+/*
+ * Returns an array of errors, one per kind of backward incompatible change
+ * (see INDEX_CHANGE_ERRORS) made to existing indexes of the bucket
+ * "bucketName" according to the schema diff "diff":
+ *
+ * - 'array': the type of an index changed from an array type (e.g
+ *   '[string]') to a scalar type, or the opposite
+ *
+ * - 'type': the type of an index changed otherwise (e.g from 'string' to
+ *   'number')
+ *
+ * - 'unique': the "unique" flag of an index was set or unset
+ *
+ * Like removing indexes, these changes would break queries made by a previous
+ * version of the code after a rollback, or be rejected by Moray.
+ * "allowedIndexChanges" is an optional object whose keys are index names, and
+ * whose values are arrays of the kinds of changes that are allowed for that
+ * index.
+ */
+function incompatibleIndexChanges(bucketName, diff, allowedIndexChanges) {
+    assert.string(bucketName, 'bucketName');
+    assert.object(diff, 'diff');
+    assert.optionalObject(allowedIndexChanges, 'allowedIndexChanges');
+
+    var changesByKind = {};
+
+    Object.keys(diff.indexesChanged).forEach(function checkIndex(indexName) {
+        var allowed = (allowedIndexChanges &&
+            allowedIndexChanges[indexName]) || [];
+        var change = diff.indexesChanged[indexName];
+        var kinds = [];
+
+        if (isArrayIndexType(change.old.type) !==
+            isArrayIndexType(change.new.type)) {
+            kinds.push('array');
+        } else if (change.old.type !== change.new.type) {
+            kinds.push('type');
+        }
+
+        if (Boolean(change.old.unique) !== Boolean(change.new.unique)) {
+            kinds.push('unique');
+        }
+
+        kinds.forEach(function addChange(kind) {
+            if (allowed.indexOf(kind) !== -1) {
+                return;
+            }
+
+            if (changesByKind[kind] === undefined) {
+                changesByKind[kind] = {};
+            }
+
+            changesByKind[kind][indexName] = change;
+        });
+    });
+
+    return Object.keys(INDEX_CHANGE_ERRORS).filter(function hasChanges(kind) {
+        return changesByKind[kind] !== undefined;
+    }).map(function toError(kind) {
+        return new INDEX_CHANGE_ERRORS[kind](bucketName, changesByKind[kind]);
+    });
+}
+
 function isBucketsSetupErrorTransient(err) {
     assert.object(err, 'err');
     assert.string(err.name, 'err.name');
@@ -366,7 +719,10 @@ function isBucketsSetupErrorTransient(err) {
         'NotFunctionError',
         'BucketVersionError',
         /* Custom errors generated by this module */
+        'InvalidIndexArrayChangeError',
         'InvalidIndexesRemovalError',
+        'InvalidIndexTypeChangeError',
+        'InvalidIndexUniqueChangeError',
         'SchemaChangesSameVersionError'
     ];
 
@@ -381,5 +737,7 @@ function isBucketsSetupErrorTransient(err) {
 }
 
 module.exports = {
+    isBucketsSetupErrorTransient: isBucketsSetupErrorTransient,
+    planBucketChange: planBucketChange,
     setupBuckets: setupBuckets
 };
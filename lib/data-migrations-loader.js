@@ -16,6 +16,7 @@
  */
 
 var assert = require('assert-plus');
+var crypto = require('crypto');
 var fs = require('fs');
 var path = require('path');
 var vasync = require('vasync');
@@ -59,15 +60,17 @@ var MIGRATION_FILE_RE = /^\d{3}-.*\.js$/;
  * For a given data migrations sub-directory, the alphanumerical order will be
  * used to determine in which order each data migration is performed.
  *
- * @params {Object} options (optional)
+ * @params {Object} options (required)
  *
- *   - {Object} log: the bunyan logger to use to log messages
+ *   - {Object} log (required): the bunyan logger to use to log messages
  *
- *   - {String} migrationsRootPath: the root directory where the data migrations
- *     modules are present
+ *   - {String} migrationsDirPath (optional): the root directory where the data
+ *     migrations modules are present
  *
  * @params {Function} callback (required): the function called when all data
- *   migration modules have been loaded
+ *   migration modules have been loaded, as "callback(err, migrations)" where
+ *   "migrations" is an object that maps model names to arrays of data
+ *   migration modules in the order in which they must run
  */
 function loadMigrations(options, callback) {
     var context = {
@@ -231,12 +234,18 @@ function loadMigrations(options, callback) {
                  */
                 migrationFiles.sort();
 
-                ctx.migrations[modelName] =
-                    migrationFiles.map(function load(file) {
-                        return require(path.join(dirPath, file));
-                    });
-
-                done();
+                vasync.forEachPipeline({
+                    func: function load(file, loaded) {
+                        loadMigrationFile(path.join(dirPath, file), loaded);
+                    },
+                    inputs: migrationFiles
+                }, function onFilesLoaded(loadErr, results) {
+                    if (!loadErr) {
+                        ctx.migrations[modelName] = results.successes;
+                    }
+
+                    done(loadErr);
+                });
             });
         }, inputs: ctx.migrationsDirPaths
         }, function onMigrationDirsRead(readDirsErr) {
@@ -252,6 +261,47 @@ function loadMigrations(options, callback) {
     }
 }
 
+/*
+ * Loads the data migration module at "filePath", and calls "callback" as
+ * "callback(err, migration)", where "migration" is an object with all the
+ * properties exported by that module, plus the following properties:
+ *
+ * - "fileName": the name of the migration file
+ *
+ * - "checksum": the sha256 checksum of the content of the migration file, as
+ *   an hex string, so that changes to migrations that were already applied can
+ *   be detected (see lib/migrations-ledger.js)
+ *
+ * The module's exports are copied so that these properties are not added to
+ * the module itself.
+ */
+function loadMigrationFile(filePath, callback) {
+    assert.string(filePath, 'filePath');
+    assert.func(callback, 'callback');
+
+    fs.readFile(filePath, function onFileRead(readErr, content) {
+        var migration = {};
+        var migrationModule;
+
+        if (readErr) {
+            callback(readErr);
+            return;
+        }
+
+        migrationModule = require(filePath);
+
+        Object.keys(migrationModule).forEach(function copy(propName) {
+            migration[propName] = migrationModule[propName];
+        });
+
+        migration.checksum = crypto.createHash('sha256').update(content)
+            .digest('hex');
+        migration.fileName = path.basename(filePath);
+
+        callback(null, migration);
+    });
+}
+
 module.exports = {
     loadMigrations: loadMigrations
 };
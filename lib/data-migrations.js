@@ -9,59 +9,126 @@
  */
 
 var assert = require('assert-plus');
+var events = require('events');
 var util = require('util');
 var vasync = require('vasync');
 var VError = require('verror');
 
+var bucketsReindex = require('./buckets-reindex');
+var errors = require('./errors');
+var invokeAsync = require('./invoke-async').invokeAsync;
+var mod_bucketStatus = require('./bucket-status');
 var mod_bucketsConfig = require('./buckets-config');
 var performBackedOffProcess =
     require('./backedoff-process').performBackedOffProcess;
 
+/*
+ * The number of records of a given chunk that are migrated concurrently by a
+ * data migration that doesn't export a "CONCURRENCY" property.
+ */
+var DEFAULT_MIGRATION_CONCURRENCY = 1;
+
+/*
+ * The number of times finding records to migrate is retried, 10 seconds apart,
+ * when it fails with an InvalidQueryError because the bucket cache of a Moray
+ * instance is stale (see _findRecordsToMigrate), before that error is
+ * considered to be non-transient.
+ */
+var MAX_INVALID_QUERY_RETRIES = 30;
+
 /*
  * Validates that data migrations represented by "dataMigrations" are sound. For
  * instance, it checks that for each model that needs to be migrated, its
- * corresponding moray bucket configuration includes a "data_version" indexed
- * field. It also makes sure that versioning of subsequent data migrations for a
- * given model follows a sequence.
+ * corresponding moray bucket configuration includes an indexed field to store
+ * the data version of records (see "modelToDataVersionField" in
+ * lib/buckets-config.js, "options.dataVersionField" is the default name of
+ * that field). It also makes sure that versioning of subsequent data
+ * migrations for a given model follows a sequence.
+ *
+ * All problems are collected: it returns undefined if data migrations are
+ * valid, the only error found if there's one, and a VError.MultiError
+ * otherwise. Each of these errors has a "model" property, the name of the
+ * model whose migrations are invalid. The buckets configuration itself is
+ * validated by "validateBucketsConfig" in lib/buckets-config.js.
  */
-function validateDataMigrations(bucketsConfig, dataMigrations) {
-    var bucketConfig;
-    var bucketName;
-    var expectedDataVersion;
-    var idx;
-    var migrationsForBucket;
-
+function validateDataMigrations(bucketsConfig, dataMigrations, options) {
     assert.object(bucketsConfig, 'bucketsConfig');
     assert.object(dataMigrations, 'dataMigrations');
+    assert.optionalObject(options, 'options');
+    if (options) {
+        assert.optionalString(options.dataVersionField,
+            'options.dataVersionField');
+    }
+
+    var errs = [];
 
-    for (bucketName in dataMigrations) {
-        bucketConfig = bucketsConfig[bucketName];
+    Object.keys(dataMigrations).forEach(function validateModel(modelName) {
+        var bucketConfig = bucketsConfig[modelName];
+        var dataVersionField;
+        var dataVersionIndex;
 
-        assert.object(bucketConfig, 'bucketConfig');
-        assert.object(bucketConfig.schema.index.data_version,
-            'data_version indexed field should be present in bucket config');
-        assert.equal(bucketConfig.schema.index.data_version.type, 'number',
-            'data_version indexed field should be of type \'number\'');
+        if (bucketConfig === undefined) {
+            errs.push(new errors.UnknownMigrationModelError(modelName));
+            return;
+        }
+
+        dataVersionField = mod_bucketsConfig.modelToDataVersionField(modelName,
+            bucketsConfig, options && options.dataVersionField);
+        dataVersionIndex = bucketConfig.schema && bucketConfig.schema.index &&
+            bucketConfig.schema.index[dataVersionField];
+
+        if (!dataVersionIndex || dataVersionIndex.type !== 'number') {
+            errs.push(new errors.MissingDataVersionIndexError(modelName,
+                dataVersionField));
+        }
 
-        migrationsForBucket = dataMigrations[bucketName];
-        expectedDataVersion = 1;
         /*
          * Validates that all data migrations that need to be performed are
          * valid. For instance, that their DATA_VERSION numbers are a proper
-         * sequence starting at 1, and that they export a function named
-         * "migrateRecord".
+         * sequence starting at 1, that they export a function named
+         * "migrateRecord", that their optional "rollbackRecord" is a function,
+         * and that their optional CONCURRENCY is a positive integer.
          */
-        for (idx = 0; idx < migrationsForBucket.length; ++idx) {
-            assert.equal(migrationsForBucket[idx].DATA_VERSION,
-                expectedDataVersion, 'Data version of migration ' + (idx + 1) +
-                    ' should be ' + expectedDataVersion);
-            assert.func(migrationsForBucket[idx].migrateRecord,
-                    'migrationsForBucket[' + idx + '].migrateRecord');
-            ++expectedDataVersion;
-        }
+        dataMigrations[modelName].forEach(function validateMigration(migration,
+            idx) {
+            var expectedDataVersion = idx + 1;
+
+            if (migration.DATA_VERSION !== expectedDataVersion) {
+                errs.push(new errors.InvalidDataMigrationVersionError(
+                    modelName, migration.fileName, expectedDataVersion,
+                    migration.DATA_VERSION));
+            }
+
+            if (typeof (migration.migrateRecord) !== 'function') {
+                errs.push(new errors.MissingMigrateRecordError(modelName,
+                    expectedDataVersion, migration.fileName));
+            }
+
+            if (migration.rollbackRecord !== undefined &&
+                typeof (migration.rollbackRecord) !== 'function') {
+                errs.push(new errors.InvalidDataMigrationError(modelName,
+                    expectedDataVersion, 'rollbackRecord must be a function'));
+            }
+
+            if (migration.CONCURRENCY !== undefined &&
+                !isPositiveInteger(migration.CONCURRENCY)) {
+                errs.push(new errors.InvalidDataMigrationError(modelName,
+                    expectedDataVersion,
+                    'CONCURRENCY must be a positive integer'));
+            }
+        });
+    });
+
+    if (errs.length > 0) {
+        return VError.errorFromList(errs);
     }
 }
 
+function isPositiveInteger(value) {
+    return typeof (value) === 'number' && value >= 1 &&
+        Math.floor(value) === value;
+}
+
 function dataMigrationErrorTransient(error) {
     assert.object(error, 'error');
 
@@ -73,8 +140,25 @@ function dataMigrationErrorTransient(error) {
          * retrying the data migrations process.
          */
         'BucketNotFoundError',
+        /*
+         * Buckets are not reindexed by the data migrations process, so retrying
+         * would lead to the same error.
+         */
+        'BucketNotReindexedError',
+        /*
+         * Migrations that return invalid results (e.g a record without a
+         * value) or invalid batch operations would return the same results
+         * when retried.
+         */
+        'InvalidDataMigrationError',
         'InvalidIndexTypeError',
+        'InvalidMigrationOpsError',
         'InvalidQueryError',
+        /*
+         * A "keyFn" function that fails or returns an invalid key for a record
+         * would do the same when retried.
+         */
+        'InvalidRecordKeyError',
         /*
          * We consider NotIndexedError errors to be non-transient because data
          * migrations happen *after any schema migration, including reindexing
@@ -101,32 +185,122 @@ function dataMigrationErrorTransient(error) {
     return true;
 }
 
+/*
+ * Runs all data migrations in "migrations" and calls "callback" when they
+ * completed, or when a non-transient error occurred.
+ *
+ * If "options.emitter" is set, the following events are emitted on it:
+ *
+ * - 'migration-chunk' each time a chunk of records was migrated, with a payload
+ *   of the form {model, bucketName, version, count}, where "version" is the
+ *   target data version of the migration and "count" the number of records in
+ *   the chunk.
+ *
+ * - 'model-migrated' when all data migrations for a model completed, with a
+ *   payload of the form {model, bucketName, version}, where "version" is the
+ *   latest data version for that model, or null if it has no data migrations.
+ *
+ * If "options.requireReindexedBuckets" is true, the bucket of each model is
+ * loaded before running its data migrations, and these migrations fail with a
+ * BucketNotReindexedError if that bucket is still being reindexed or has not
+ * been updated to the version of its schema in "options.bucketsConfig". This is
+ * used when data migrations do not run right after buckets are reindexed by the
+ * same process.
+ *
+ * "options.dataVersionField" is the name of the indexed field used to store
+ * the data version of records for buckets whose configuration does not set
+ * its own "dataVersionField" (see lib/buckets-config.js).
+ *
+ * If "options.ledger" is set, it's a MigrationsLedger instance (see
+ * lib/migrations-ledger.js) in which the start and completion of each
+ * migration are recorded.
+ *
+ * Returns a status object whose "buckets" property has a per-bucket section
+ * for each model (see lib/bucket-status.js). In addition to the common
+ * properties, these sections have the following properties:
+ *
+ * - "currentVersion": the data version of the latest migration that completed
+ *   for that model, or null if none completed yet
+ *
+ * - "targetVersion": the data version of the last migration for that model
+ *
+ * - "migrated": an object mapping data versions to the number of records that
+ *   were migrated to that version
+ */
 function runMigrations(migrations, options, callback) {
     assert.object(migrations, 'migrations');
     assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
+    assert.optionalObject(options.backoffPolicy, 'options.backoffPolicy');
+    assert.optionalNumber(options.deadline, 'options.deadline');
     assert.object(options.bucketsConfig, 'options.bucketsConfig');
+    assert.optionalString(options.dataVersionField,
+        'options.dataVersionField');
+    assert.optionalObject(options.emitter, 'options.emitter');
+    assert.optionalFunc(options.isErrTransient, 'options.isErrTransient');
+    assert.optionalObject(options.ledger, 'options.ledger');
     assert.object(options.log, 'options.log');
     assert.optionalNumber(options.maxAttempts, 'options.maxAttempts');
+    assert.optionalNumber(options.maxConcurrentModels,
+        'options.maxConcurrentModels');
     assert.object(options.morayClient, 'options.morayClient');
+    assert.optionalBool(options.requireReindexedBuckets,
+        'options.requireReindexedBuckets');
+    assert.optionalObject(options.throttle, 'options.throttle');
     assert.func(callback, 'callback');
 
+    var aborter = options.aborter;
     var bucketsConfig = options.bucketsConfig;
     var dataMigrationStatus = {
+        attemptsHistory: [],
         completed: {},
         state: 'STARTED'
     };
+    var emitter = options.emitter || new events.EventEmitter();
     var log = options.log;
     var maxAttempts = options.maxAttempts;
     var morayClient = options.morayClient;
+    var requireReindexedBuckets = options.requireReindexedBuckets === true;
 
     log.info({migrations: migrations}, 'Running data migrations');
 
+    Object.keys(migrations).forEach(function initStatus(modelName) {
+        var bucketStatus = mod_bucketStatus.initBucketStatus(
+            dataMigrationStatus, modelName,
+            mod_bucketsConfig.modelToBucketName(modelName, bucketsConfig));
+        var modelMigrations = migrations[modelName];
+
+        bucketStatus.currentVersion = null;
+        bucketStatus.migrated = {};
+        bucketStatus.targetVersion = modelMigrations.length > 0 ?
+            modelMigrations[modelMigrations.length - 1].DATA_VERSION : null;
+    });
+
     performBackedOffProcess('data migrations',
         _tryRunMigrations.bind(null, migrations, dataMigrationStatus, {
+            aborter: aborter,
             bucketsConfig: bucketsConfig,
+            dataVersionField: options.dataVersionField,
+            emitter: emitter,
+            ledger: options.ledger,
             log: log,
-            morayClient: morayClient
+            maxConcurrentModels: options.maxConcurrentModels,
+            morayClient: morayClient,
+            requireReindexedBuckets: requireReindexedBuckets,
+            throttle: options.throttle
         }), {
+            aborter: aborter,
+            attemptsHistory: dataMigrationStatus.attemptsHistory,
+            backoffPolicy: options.backoffPolicy,
+            deadline: options.deadline,
+            getErrContext: function getErrContext(err) {
+                var context = mod_bucketStatus.findFailedBucket(
+                    dataMigrationStatus, err);
+
+                context.phase = 'dataMigrations';
+                return context;
+            },
+            isErrTransient: options.isErrTransient,
             isErrTransientFun: dataMigrationErrorTransient,
             log: log,
             maxAttempts: maxAttempts
@@ -135,19 +309,198 @@ function runMigrations(migrations, options, callback) {
     return dataMigrationStatus;
 }
 
+/*
+ * Rolls back the data migrations in "migrations" for the model
+ * "options.modelName", so that all its records end up at data version
+ * "options.targetVersion" (0 meaning no data version), and calls "callback"
+ * when done, or when a non-transient error occurred.
+ *
+ * Migrations are rolled back one at a time, starting from the latest one, by
+ * calling their "rollbackRecord" function on each record at their data
+ * version. "rollbackRecord" has the same interface as "migrateRecord", and
+ * records are processed in chunks the same way as when running migrations.
+ * If any of the migrations to roll back doesn't have a "rollbackRecord"
+ * function, "callback" is called with a DataMigrationNotReversibleError and no
+ * record is modified.
+ *
+ * Other options and the 'migration-chunk' and 'model-migrated' events are the
+ * same as for "runMigrations", except that the "version" property of their
+ * payload is the version records are rolled back to. Returns a status object
+ * of the same form as the one returned by "runMigrations".
+ */
+function rollbackMigrations(migrations, options, callback) {
+    assert.object(migrations, 'migrations');
+    assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
+    assert.optionalObject(options.backoffPolicy, 'options.backoffPolicy');
+    assert.optionalNumber(options.deadline, 'options.deadline');
+    assert.object(options.bucketsConfig, 'options.bucketsConfig');
+    assert.optionalString(options.dataVersionField,
+        'options.dataVersionField');
+    assert.optionalObject(options.emitter, 'options.emitter');
+    assert.optionalFunc(options.isErrTransient, 'options.isErrTransient');
+    assert.optionalObject(options.ledger, 'options.ledger');
+    assert.object(options.log, 'options.log');
+    assert.optionalNumber(options.maxAttempts, 'options.maxAttempts');
+    assert.string(options.modelName, 'options.modelName');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.number(options.targetVersion, 'options.targetVersion');
+    assert.ok(options.targetVersion >= 0, 'options.targetVersion >= 0');
+    assert.optionalObject(options.throttle, 'options.throttle');
+    assert.func(callback, 'callback');
+
+    var bucketStatus;
+    var bucketsConfig = options.bucketsConfig;
+    var emitter = options.emitter || new events.EventEmitter();
+    var idx;
+    var log = options.log;
+    var modelName = options.modelName;
+    var modelMigrations = migrations[modelName] || [];
+    var rollbackStatus = {
+        attemptsHistory: [],
+        completed: {},
+        state: 'STARTED'
+    };
+    var targetVersion = options.targetVersion;
+    var toRollback = [];
+
+    assert.object(bucketsConfig[modelName], 'bucketsConfig[modelName]');
+
+    for (idx = modelMigrations.length - 1; idx >= 0; --idx) {
+        if (modelMigrations[idx].DATA_VERSION > targetVersion) {
+            toRollback.push(modelMigrations[idx]);
+        }
+    }
+
+    bucketStatus = mod_bucketStatus.initBucketStatus(rollbackStatus, modelName,
+        mod_bucketsConfig.modelToBucketName(modelName, bucketsConfig));
+    bucketStatus.currentVersion = toRollback.length > 0 ?
+        toRollback[0].DATA_VERSION : null;
+    bucketStatus.migrated = {};
+    bucketStatus.targetVersion = targetVersion;
+
+    for (idx = 0; idx < toRollback.length; ++idx) {
+        if (typeof (toRollback[idx].rollbackRecord) !== 'function') {
+            rollbackStatus.state = 'ERROR';
+            setImmediate(callback,
+                new errors.DataMigrationNotReversibleError(modelName,
+                    toRollback[idx].DATA_VERSION));
+            return rollbackStatus;
+        }
+    }
+
+    log.info({
+        model: modelName,
+        targetVersion: targetVersion
+    }, 'Rolling back data migrations');
+
+    performBackedOffProcess('data migrations rollback',
+        function tryRollback(cb) {
+            mod_bucketStatus.startBucketAttempt(bucketStatus);
+
+            vasync.forEachPipeline({
+                func: function rollbackSingleMigration(migration, next) {
+                    _runRecordedMigration(modelName, migration, {
+                        aborter: options.aborter,
+                        bucketsConfig: bucketsConfig,
+                        bucketStatus: bucketStatus,
+                        dataVersionField:
+                            mod_bucketsConfig.modelToDataVersionField(
+                                modelName, bucketsConfig,
+                                options.dataVersionField),
+                        emitter: emitter,
+                        ledger: options.ledger,
+                        log: log,
+                        morayClient: options.morayClient,
+                        rollback: true,
+                        throttle: options.throttle
+                    }, function onRolledBack(rollbackErr) {
+                        if (!rollbackErr) {
+                            bucketStatus.currentVersion =
+                                migration.DATA_VERSION - 1;
+                            rollbackStatus.completed[modelName] =
+                                migration.DATA_VERSION - 1;
+                        }
+
+                        next(rollbackErr);
+                    });
+                },
+                inputs: toRollback
+            }, function onAllRolledBack(rollbackErr) {
+                var err;
+
+                if (rollbackErr) {
+                    err = new VError(rollbackErr,
+                        'Failed to roll back data migrations');
+                    _setModelMigrationError(rollbackStatus, modelName, err);
+                } else {
+                    rollbackStatus.state = 'DONE';
+                    delete rollbackStatus.latestErrors;
+                    emitter.emit('model-migrated', {
+                        model: modelName,
+                        bucketName: bucketStatus.bucketName,
+                        version: targetVersion
+                    });
+                }
+
+                mod_bucketStatus.endBucketAttempt(bucketStatus, err);
+                cb(err);
+            });
+        }, {
+            aborter: options.aborter,
+            attemptsHistory: rollbackStatus.attemptsHistory,
+            backoffPolicy: options.backoffPolicy,
+            deadline: options.deadline,
+            getErrContext: function getErrContext() {
+                return {
+                    phase: 'dataMigrations',
+                    model: modelName,
+                    bucketName: bucketStatus.bucketName
+                };
+            },
+            isErrTransient: options.isErrTransient,
+            isErrTransientFun: dataMigrationErrorTransient,
+            log: log,
+            maxAttempts: options.maxAttempts
+        }, callback);
+
+    return rollbackStatus;
+}
+
 function _tryRunMigrations(migrations, status, options, cb) {
     assert.object(migrations, 'migrations');
     assert.object(status, 'status');
     assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
     assert.object(options.bucketsConfig, 'options.bucketsConfig');
+    assert.optionalString(options.dataVersionField,
+        'options.dataVersionField');
+    assert.object(options.emitter, 'options.emitter');
+    assert.optionalObject(options.ledger, 'options.ledger');
     assert.object(options.log, 'options.log');
+    assert.optionalNumber(options.maxConcurrentModels,
+        'options.maxConcurrentModels');
     assert.object(options.morayClient, 'options.morayClient');
+    assert.bool(options.requireReindexedBuckets,
+        'options.requireReindexedBuckets');
+    assert.optionalObject(options.throttle, 'options.throttle');
     assert.func(cb, 'cb');
 
+    var aborter = options.aborter;
     var bucketsConfig = options.bucketsConfig;
+    var emitter = options.emitter;
     var log = options.log;
+    var migrationsErrs = [];
     var modelNames = Object.keys(migrations);
     var morayClient = options.morayClient;
+    var queue;
+    var requireReindexedBuckets = options.requireReindexedBuckets;
+
+    if (modelNames.length === 0) {
+        status.state = 'DONE';
+        setImmediate(cb);
+        return;
+    }
 
     /*
      * We run data migrations for separate models in *parallel* on purpose. Data
@@ -156,27 +509,50 @@ function _tryRunMigrations(migrations, status, options, cb) {
      * sequence would mean that the migration of a model with very few objects
      * could be significantly delayed by the migration of a model with a much
      * higher number of objects. Instead, data migrations process objects in
-     * chunks of a bounded number of objects (currently 1000, the default Moray
-     * "page" limit), and thus these data migrations are interleaved, making
-     * none of them blocked on each other.
+     * chunks of a bounded number of objects (see the "migrationChunkSize"
+     * bucket configuration property), and thus these data migrations are
+     * interleaved, making none of them blocked on each other.
+     *
+     * Migrating all models at once can however put too much load on a Moray
+     * service shared with other consumers, so at most
+     * "options.maxConcurrentModels" models are migrated at the same time if
+     * it's set.
      */
-    vasync.forEachParallel({
-        func: function runAllMigrationsForSingleModel(modelName, done) {
-            _runMigrationsForModel(modelName, migrations[modelName], status, {
-                bucketsConfig: bucketsConfig,
-                log: log,
-                morayClient: morayClient
-            }, done);
-        },
-        inputs: modelNames
-    }, function allMigrationsDone(migrationsErr) {
-        if (!migrationsErr) {
+    queue = vasync.queue(function runAllMigrationsForSingleModel(modelName,
+        done) {
+        _runMigrationsForModel(modelName, migrations[modelName], status, {
+            aborter: aborter,
+            bucketsConfig: bucketsConfig,
+            dataVersionField: options.dataVersionField,
+            emitter: emitter,
+            ledger: options.ledger,
+            log: log,
+            morayClient: morayClient,
+            requireReindexedBuckets: requireReindexedBuckets,
+            throttle: options.throttle
+        }, function onModelMigrated(modelErr) {
+            if (modelErr) {
+                migrationsErrs.push(modelErr);
+            }
+
+            done();
+        });
+    }, options.maxConcurrentModels || modelNames.length);
+
+    queue.on('end', function allMigrationsDone() {
+        var migrationsErr;
+
+        if (migrationsErrs.length > 0) {
+            migrationsErr = new VError.MultiError(migrationsErrs);
+        } else {
             status.state = 'DONE';
         }
 
         cb(migrationsErr);
     });
 
+    queue.push(modelNames);
+    queue.close();
 }
 
 function _runMigrationsForModel(modelName, dataMigrations, status, options,
@@ -184,66 +560,247 @@ function _runMigrationsForModel(modelName, dataMigrations, status, options,
     assert.string(modelName, 'modelName');
     assert.arrayOfObject(dataMigrations, 'dataMigrations');
     assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
     assert.object(options.bucketsConfig, 'options.bucketsConfig');
+    assert.optionalString(options.dataVersionField,
+        'options.dataVersionField');
+    assert.object(options.emitter, 'options.emitter');
+    assert.optionalObject(options.ledger, 'options.ledger');
     assert.object(options.log, 'options.log');
     assert.object(options.morayClient, 'options.morayClient');
+    assert.bool(options.requireReindexedBuckets,
+        'options.requireReindexedBuckets');
+    assert.optionalObject(options.throttle, 'options.throttle');
     assert.func(callback, 'callback');
 
+    var aborter = options.aborter;
     var bucketsConfig = options.bucketsConfig;
+    var bucketStatus = mod_bucketStatus.initBucketStatus(status, modelName,
+        mod_bucketsConfig.modelToBucketName(modelName, bucketsConfig));
+    var dataVersionField = mod_bucketsConfig.modelToDataVersionField(
+        modelName, bucketsConfig, options.dataVersionField);
+    var emitter = options.emitter;
     var log = options.log;
     var morayClient = options.morayClient;
 
     log.info('Starting data migrations for model %s', modelName);
 
-    vasync.forEachPipeline({
-        func: function runSingleMigration(migration, next) {
-            assert.number(migration.DATA_VERSION, 'migration.DATA_VERSION');
-            assert.ok(migration.DATA_VERSION >= 1,
-                'migration.DATA_VERSION >= 1');
-
-            _runSingleMigration(modelName, migration, {
-                bucketsConfig: bucketsConfig,
-                log: log,
-                morayClient: morayClient
-            }, function onMigration(migrationErr) {
-                if (migrationErr) {
-                    if (!status.latestErrors) {
-                        status.latestErrors = {};
-                    }
+    if (bucketStatus.migrated === undefined) {
+        bucketStatus.migrated = {};
+    }
 
-                    status.latestErrors[modelName] = migrationErr;
-                    status.state = 'ERROR';
+    mod_bucketStatus.startBucketAttempt(bucketStatus);
 
-                    log.error({err: migrationErr},
-                        'Error when running migration to data version: ' +
-                            migration.DATA_VERSION);
-                } else {
-                    if (status.latestErrors && status.latestErrors[modelName]) {
-                        delete status.latestErrors[modelName];
-                    }
+    function onAllMigrationsDone(migrationsErr) {
+        var err;
 
-                    if (status.latestErrors &&
-                        Object.keys(status.latestErrors).length === 0) {
-                        delete status.latestErrors;
+        if (migrationsErr) {
+            err = new VError(migrationsErr, 'Failed to run data migrations');
+        }
+
+        mod_bucketStatus.endBucketAttempt(bucketStatus, err);
+
+        if (!err) {
+            emitter.emit('model-migrated', {
+                model: modelName,
+                bucketName: mod_bucketsConfig.modelToBucketName(modelName,
+                    bucketsConfig),
+                version: bucketStatus.targetVersion
+            });
+        }
+
+        callback(err);
+    }
+
+    function runAllMigrations() {
+        vasync.forEachPipeline({
+            func: function runSingleMigration(migration, next) {
+                assert.number(migration.DATA_VERSION,
+                    'migration.DATA_VERSION');
+                assert.ok(migration.DATA_VERSION >= 1,
+                    'migration.DATA_VERSION >= 1');
+
+                _runRecordedMigration(modelName, migration, {
+                    aborter: aborter,
+                    bucketsConfig: bucketsConfig,
+                    bucketStatus: bucketStatus,
+                    dataVersionField: dataVersionField,
+                    emitter: emitter,
+                    ledger: options.ledger,
+                    log: log,
+                    morayClient: morayClient,
+                    throttle: options.throttle
+                }, function onMigration(migrationErr) {
+                    if (migrationErr) {
+                        _setModelMigrationError(status, modelName,
+                            migrationErr);
+
+                        log.error({err: migrationErr},
+                            'Error when running migration to data version: ' +
+                                migration.DATA_VERSION);
+                    } else {
+                        if (status.latestErrors &&
+                            status.latestErrors[modelName]) {
+                            delete status.latestErrors[modelName];
+                        }
+
+                        if (status.latestErrors &&
+                            Object.keys(status.latestErrors).length === 0) {
+                            delete status.latestErrors;
+                        }
+
+                        status.completed[modelName] = migration.DATA_VERSION;
+                        bucketStatus.currentVersion = migration.DATA_VERSION;
+
+                        log.info('Data migration to data version: ' +
+                            migration.DATA_VERSION + ' ran successfully');
                     }
 
-                    status.completed[modelName] = migration.DATA_VERSION;
+                    next(migrationErr);
+                });
+            },
+            inputs: dataMigrations
+        }, onAllMigrationsDone);
+    }
 
-                    log.info('Data migration to data version: ' +
-                        migration.DATA_VERSION + ' ran successfully');
-                }
+    if (!options.requireReindexedBuckets) {
+        runAllMigrations();
+        return;
+    }
 
-                next(migrationErr);
-            });
+    _checkBucketReindexed(modelName, {
+        bucketsConfig: bucketsConfig,
+        log: log,
+        morayClient: morayClient
+    }, function onChecked(checkErr) {
+        if (checkErr) {
+            _setModelMigrationError(status, modelName, checkErr);
+            onAllMigrationsDone(checkErr);
+            return;
+        }
+
+        runAllMigrations();
+    });
+}
+
+/*
+ * Records the error "err" as the latest error of the data migrations for the
+ * model "modelName" in the data migrations status object "status".
+ */
+function _setModelMigrationError(status, modelName, err) {
+    assert.object(status, 'status');
+    assert.string(modelName, 'modelName');
+    assert.object(err, 'err');
+
+    if (!status.latestErrors) {
+        status.latestErrors = {};
+    }
+
+    status.latestErrors[modelName] = err;
+    status.state = 'ERROR';
+}
+
+/*
+ * Loads the bucket of the model "modelName" and calls "callback" with a
+ * BucketNotReindexedError if it's still being reindexed, or if it's at a
+ * version lower than the version of its schema in "options.bucketsConfig" (in
+ * which case it was not updated, and thus not reindexed, according to that
+ * schema).
+ */
+function _checkBucketReindexed(modelName, options, callback) {
+    assert.string(modelName, 'modelName');
+    assert.object(options, 'options');
+    assert.object(options.bucketsConfig, 'options.bucketsConfig');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+    assert.func(callback, 'callback');
+
+    var bucketConfig = options.bucketsConfig[modelName];
+    var bucketName = bucketConfig.name;
+    var expectedVersion = (bucketConfig.schema.options &&
+        bucketConfig.schema.options.version) || 0;
+    var log = options.log;
+
+    log.info('Checking that bucket %s is reindexed before migrating data',
+        bucketName);
+
+    options.morayClient.getBucket(bucketName,
+        function onGetBucket(getBucketErr, bucket) {
+            var bucketVersion;
+
+            if (getBucketErr) {
+                callback(getBucketErr);
+                return;
+            }
+
+            bucketVersion = (bucket.options && bucket.options.version) || 0;
+
+            if (bucketVersion < expectedVersion ||
+                bucketsReindex.isReindexActive(bucket)) {
+                log.error({
+                    bucketVersion: bucketVersion,
+                    expectedVersion: expectedVersion,
+                    reindexActive: bucket.reindex_active
+                }, 'Bucket %s is not reindexed', bucketName);
+                callback(new errors.BucketNotReindexedError(bucketName));
+                return;
+            }
+
+            callback();
+        });
+}
+
+/*
+ * Same as _runSingleMigration, but if "options.ledger" is set, also records in
+ * that MigrationsLedger instance (see lib/migrations-ledger.js) when the
+ * migration starts and when it completes (or when it's rolled back, if
+ * "options.rollback" is true).
+ */
+function _runRecordedMigration(modelName, migration, options, callback) {
+    assert.string(modelName, 'modelName');
+    assert.object(migration, 'migration');
+    assert.object(options, 'options');
+    assert.object(options.bucketStatus, 'options.bucketStatus');
+    assert.optionalObject(options.ledger, 'options.ledger');
+    assert.optionalBool(options.rollback, 'options.rollback');
+    assert.func(callback, 'callback');
+
+    var bucketStatus = options.bucketStatus;
+    var ledger = options.ledger;
+    var migratedBefore;
+    var rollback = options.rollback === true;
+    var targetVersion = rollback ? migration.DATA_VERSION - 1 :
+        migration.DATA_VERSION;
+
+    if (!ledger) {
+        _runSingleMigration(modelName, migration, options, callback);
+        return;
+    }
+
+    vasync.waterfall([
+        function recordStarted(next) {
+            if (rollback) {
+                next();
+                return;
+            }
+
+            ledger.recordStarted(modelName, migration, next);
         },
-        inputs: dataMigrations
-    }, function onAllMigrationsDone(migrationsErr, results) {
-        var err;
+        function migrate(next) {
+            migratedBefore = bucketStatus.migrated[targetVersion] || 0;
+            _runSingleMigration(modelName, migration, options, next);
+        },
+        function recordEnded(next) {
+            if (rollback) {
+                ledger.recordRolledBack(modelName, migration, next);
+                return;
+            }
 
-        if (migrationsErr) {
-            err = new VError(migrationsErr, 'Failed to run data migrations');
+            ledger.recordDone(modelName, migration,
+                (bucketStatus.migrated[targetVersion] || 0) - migratedBefore,
+                next);
         }
-
+    ], function onRecordedMigration(err) {
         callback(err);
     });
 }
@@ -256,27 +813,64 @@ function _runSingleMigration(modelName, migration, options, callback) {
     assert.ok(migration.DATA_VERSION >= 1,
             'migration.DATA_VERSION >= 1');
     assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
     assert.object(options.bucketsConfig, 'options.bucketsConfig');
+    assert.object(options.bucketStatus, 'options.bucketStatus');
+    assert.string(options.dataVersionField, 'options.dataVersionField');
+    assert.object(options.emitter, 'options.emitter');
     assert.object(options.log, 'options.log');
     assert.object(options.morayClient, 'options.morayClient');
+    assert.optionalBool(options.rollback, 'options.rollback');
+    assert.optionalObject(options.throttle, 'options.throttle');
     assert.func(callback, 'callback');
 
+    var aborter = options.aborter;
+    var bucketName = mod_bucketsConfig.modelToBucketName(modelName,
+        options.bucketsConfig);
     var bucketsConfig = options.bucketsConfig;
+    var bucketStatus = options.bucketStatus;
     var context = {};
+    var dataVersionField = options.dataVersionField;
+    var emitter = options.emitter;
     var log = options.log;
     var morayClient = options.morayClient;
+    var rollback = options.rollback === true;
+    var targetVersion;
+    var throttle = options.throttle;
     var version = migration.DATA_VERSION;
 
-    log.info('Running migration for model %s to data version: %s', modelName,
-        version);
+    assert.string(bucketName, 'bucketName');
+
+    if (rollback) {
+        assert.func(migration.rollbackRecord, 'migration.rollbackRecord');
+        targetVersion = version - 1;
+        log.info('Rolling back migration for model %s from data version: %s',
+            modelName, version);
+    } else {
+        targetVersion = version;
+        log.info('Running migration for model %s to data version: %s',
+            modelName, version);
+    }
 
     function processNextChunk() {
+        /*
+         * When aborted, we stop fetching new chunks of records, but chunks that
+         * are already being processed are processed completely.
+         */
+        if (aborter && aborter.aborted) {
+            callback(new errors.BucketsInitAbortedError());
+            return;
+        }
+
         vasync.pipeline({arg: context, funcs: [
             function findRecords(ctx, next) {
                 _findRecordsToMigrate(modelName, version, {
+                    aborter: aborter,
                     bucketsConfig: options.bucketsConfig,
+                    dataVersionField: dataVersionField,
                     log: log,
-                    morayClient: morayClient
+                    morayClient: morayClient,
+                    rollback: rollback
                 }, function onFindRecords(findErr, records) {
                     if (findErr) {
                         log.error({err: findErr},
@@ -291,12 +885,6 @@ function _runSingleMigration(modelName, migration, options, callback) {
                 });
             },
             function migrateRecords(ctx, next) {
-                var bucketName = mod_bucketsConfig.modelToBucketName(modelName,
-                    bucketsConfig);
-                assert.string(bucketName, 'bucketName');
-
-                var migrateRecordFunc = migration.migrateRecord;
-                var migratedRecords;
                 var records = ctx.records;
 
                 assert.arrayOfObject(records, 'records');
@@ -306,16 +894,50 @@ function _runSingleMigration(modelName, migration, options, callback) {
                     return;
                 }
 
-                migratedRecords = records.map(function migrate(record) {
-                    return migrateRecordFunc(record, {log: log});
-                });
+                _migrateRecords(records, migration, {
+                    bucketName: bucketName,
+                    bucketNames: Object.keys(bucketsConfig).map(
+                        function getBucketName(model) {
+                            return bucketsConfig[model].name;
+                        }),
+                    dataVersionField: dataVersionField,
+                    log: log,
+                    modelName: modelName,
+                    rollback: rollback
+                }, function onRecordsMigrated(migrateErr, migratedRecords) {
+                    if (migrateErr) {
+                        next(migrateErr);
+                        return;
+                    }
 
-                log.trace({migratedRecords: migratedRecords},
-                    'Migrated records');
+                    log.trace({migratedRecords: migratedRecords},
+                        'Migrated records');
 
-                _putBatch(bucketName, migratedRecords, {
-                    morayClient: morayClient
-                }, next);
+                    _putBatch(bucketName, migratedRecords, {
+                        keyFn: mod_bucketsConfig.modelToKeyFn(modelName,
+                            bucketsConfig),
+                        morayClient: morayClient
+                    }, function onBatch(batchErr) {
+                        if (!batchErr) {
+                            if (throttle) {
+                                throttle.consume(bucketName,
+                                    migratedRecords.length);
+                            }
+
+                            bucketStatus.migrated[targetVersion] =
+                                (bucketStatus.migrated[targetVersion] || 0) +
+                                    migratedRecords.length;
+                            emitter.emit('migration-chunk', {
+                                model: modelName,
+                                bucketName: bucketName,
+                                version: targetVersion,
+                                count: migratedRecords.length
+                            });
+                        }
+
+                        next(batchErr);
+                    });
+                });
             }
         ]}, function onChunkProcessed(chunkProcessingErr) {
             var records = context.records;
@@ -334,12 +956,266 @@ function _runSingleMigration(modelName, migration, options, callback) {
             } else {
                 log.info('Processed ' + records.length + ' records, ' +
                     'scheduling processing of next chunk');
-                setImmediate(processNextChunk);
+                scheduleNextChunk();
+            }
+        });
+    }
+
+    /*
+     * Chunks are processed as fast as possible, unless "options.throttle"
+     * limits the rate at which records are migrated.
+     */
+    function scheduleNextChunk() {
+        if (!throttle) {
+            setImmediate(processNextChunk);
+            return;
+        }
+
+        throttle.wait(bucketName, aborter, function onWaited(waitErr) {
+            if (waitErr) {
+                callback(waitErr);
+                return;
+            }
+
+            processNextChunk();
+        });
+    }
+
+    scheduleNextChunk();
+}
+
+/*
+ * Calls the "migrateRecord" function of the data migration "migration" for
+ * each record in "records", and calls "callback" as "callback(err,
+ * migratedRecords)" once they all completed, or as soon as one of them failed.
+ * "migrateRecord" can be synchronous, return a promise or take a callback as
+ * its third parameter (see lib/invoke-async.js). At most
+ * "migration.CONCURRENCY" records (1 by default) are migrated concurrently.
+ *
+ * If "options.rollback" is true, the "rollbackRecord" function of "migration"
+ * is called instead, and records are migrated to the version that precedes
+ * the version of the migration. Records migrated to version 0 have no data
+ * version field.
+ *
+ * "migratedRecords" has an object for each record in "records", in the same
+ * order, with the following properties:
+ *
+ * - "migratedRecord": the result of "migrateRecord", which is either the
+ *   migrated record, null if the record must be deleted, or an array of Moray
+ *   batch operations (see _validateMigrationOps). The data version field of
+ *   the migrated record, or of records put in the bucket "options.bucketName"
+ *   by these batch operations, is set to the version records are migrated
+ *   to. If "migrateRecord" returns anything else, "callback" is called with an
+ *   InvalidDataMigrationError for the model "options.modelName".
+ *
+ * - "originalKey" and "originalEtag": the key and etag of the record before it
+ *   was migrated, so that migrations can't change them inadvertently
+ */
+function _migrateRecords(records, migration, options, callback) {
+    assert.arrayOfObject(records, 'records');
+    assert.object(migration, 'migration');
+    assert.func(migration.migrateRecord, 'migration.migrateRecord');
+    assert.number(migration.DATA_VERSION, 'migration.DATA_VERSION');
+    assert.optionalNumber(migration.CONCURRENCY, 'migration.CONCURRENCY');
+    assert.object(options, 'options');
+    assert.string(options.bucketName, 'options.bucketName');
+    assert.arrayOfString(options.bucketNames, 'options.bucketNames');
+    assert.string(options.dataVersionField, 'options.dataVersionField');
+    assert.object(options.log, 'options.log');
+    assert.string(options.modelName, 'options.modelName');
+    assert.optionalBool(options.rollback, 'options.rollback');
+    assert.func(callback, 'callback');
+
+    var bucketName = options.bucketName;
+    var concurrency = migration.CONCURRENCY || DEFAULT_MIGRATION_CONCURRENCY;
+    var dataVersionField = options.dataVersionField;
+    var firstErr;
+    var migrateFunc = migration.migrateRecord;
+    var migrateFuncName = 'migrateRecord';
+    var migratedRecords = [];
+    var queue;
+    var recordIdx;
+    var targetVersion = migration.DATA_VERSION;
+
+    if (options.rollback === true) {
+        assert.func(migration.rollbackRecord, 'migration.rollbackRecord');
+        migrateFunc = migration.rollbackRecord;
+        migrateFuncName = 'rollbackRecord';
+        targetVersion = migration.DATA_VERSION - 1;
+    }
+
+    function setDataVersion(value) {
+        if (targetVersion === 0) {
+            delete value[dataVersionField];
+        } else {
+            value[dataVersionField] = targetVersion;
+        }
+    }
+
+    queue = vasync.queue(function migrate(idx, done) {
+        var record = records[idx];
+        var originalEtag = record._etag;
+        var originalKey = record.key;
+
+        /*
+         * Once a record failed to be migrated, the whole chunk will be
+         * processed again on the next attempt, so there's no point in
+         * migrating the remaining records.
+         */
+        if (firstErr) {
+            done();
+            return;
+        }
+
+        invokeAsync(migrateFunc, [record, {
+            dataVersionField: dataVersionField,
+            log: options.log
+        }], function onRecordMigrated(migrateErr, migratedRecord) {
+            if (!migrateErr && Array.isArray(migratedRecord)) {
+                migrateErr = _validateMigrationOps(migratedRecord, {
+                    bucketName: bucketName,
+                    bucketNames: options.bucketNames,
+                    originalKey: originalKey,
+                    version: migration.DATA_VERSION
+                });
+            } else if (!migrateErr && migratedRecord !== null &&
+                (typeof (migratedRecord) !== 'object' ||
+                    migratedRecord.value === null ||
+                    typeof (migratedRecord.value) !== 'object')) {
+                migrateErr = new errors.InvalidDataMigrationError(
+                    options.modelName, migration.DATA_VERSION,
+                    util.format('%s returned %s for record with key %s ' +
+                        'instead of a record with a value, null or an array ' +
+                        'of batch operations', migrateFuncName,
+                        util.inspect(migratedRecord), originalKey));
+            }
+
+            if (migrateErr) {
+                if (!firstErr) {
+                    firstErr = new VError(migrateErr, 'Failed to migrate ' +
+                        'record with key %s to data version %d', originalKey,
+                        targetVersion);
+                }
+                done();
+                return;
+            }
+
+            /*
+             * Migrated records are always stored at the version they were
+             * migrated to, so that they're not migrated again, even if
+             * "migrateRecord" (or "rollbackRecord") does not set the data
+             * version field itself.
+             */
+            if (Array.isArray(migratedRecord)) {
+                migratedRecord.forEach(function setOpDataVersion(op) {
+                    if (op.operation === 'put' && op.bucket === bucketName) {
+                        setDataVersion(op.value);
+                    }
+                });
+            } else if (migratedRecord !== null) {
+                setDataVersion(migratedRecord.value);
             }
+
+            migratedRecords[idx] = {
+                migratedRecord: migratedRecord,
+                originalEtag: originalEtag,
+                originalKey: originalKey
+            };
+
+            done();
         });
+    }, concurrency);
+
+    queue.once('end', function onAllRecordsMigrated() {
+        if (firstErr) {
+            callback(firstErr);
+            return;
+        }
+
+        callback(null, migratedRecords);
+    });
+
+    for (recordIdx = 0; recordIdx < records.length; ++recordIdx) {
+        queue.push(recordIdx);
     }
 
-    processNextChunk();
+    queue.close();
+}
+
+/*
+ * Returns an InvalidMigrationOpsError if the array of Moray batch operations
+ * "ops" returned by a "migrateRecord" function for the record with key
+ * "options.originalKey" in bucket "options.bucketName" is not valid, and
+ * undefined otherwise. Each operation must be an object with the following
+ * properties:
+ *
+ * - "operation": 'put' or 'delete'
+ *
+ * - "bucket": the name of one of the buckets in "options.bucketNames"
+ *
+ * - "key": the key of the record to put or delete
+ *
+ * - "value": the value of the record to put, for 'put' operations
+ *
+ * - "etag": optional, the etag to use for conflict detection
+ *
+ * At least one of these operations must put or delete the original record,
+ * otherwise it would never be migrated.
+ */
+function _validateMigrationOps(ops, options) {
+    assert.array(ops, 'ops');
+    assert.object(options, 'options');
+    assert.string(options.bucketName, 'options.bucketName');
+    assert.arrayOfString(options.bucketNames, 'options.bucketNames');
+    assert.string(options.originalKey, 'options.originalKey');
+    assert.number(options.version, 'options.version');
+
+    var idx;
+    var op;
+    var originalRecordMigrated = false;
+
+    for (idx = 0; idx < ops.length; ++idx) {
+        op = ops[idx];
+
+        if (op === null || typeof (op) !== 'object') {
+            return new errors.InvalidMigrationOpsError(options.version,
+                'operation ' + idx + ' is not an object');
+        }
+
+        if (op.operation !== 'put' && op.operation !== 'delete') {
+            return new errors.InvalidMigrationOpsError(options.version,
+                'operation ' + idx + ' has unsupported type ' +
+                    util.inspect(op.operation));
+        }
+
+        if (options.bucketNames.indexOf(op.bucket) === -1) {
+            return new errors.InvalidMigrationOpsError(options.version,
+                'operation ' + idx + ' is on unknown bucket ' +
+                    util.inspect(op.bucket));
+        }
+
+        if (typeof (op.key) !== 'string' || op.key.length === 0) {
+            return new errors.InvalidMigrationOpsError(options.version,
+                'operation ' + idx + ' has no key');
+        }
+
+        if (op.operation === 'put' &&
+            (op.value === null || typeof (op.value) !== 'object')) {
+            return new errors.InvalidMigrationOpsError(options.version,
+                'put operation ' + idx + ' has no value');
+        }
+
+        if (op.bucket === options.bucketName &&
+            op.key === options.originalKey) {
+            originalRecordMigrated = true;
+        }
+    }
+
+    if (!originalRecordMigrated) {
+        return new errors.InvalidMigrationOpsError(options.version,
+            'no operation puts or deletes the original record with key ' +
+                options.originalKey);
+    }
 }
 
 function _findRecordsToMigrate(modelName, version, options, callback) {
@@ -347,18 +1223,31 @@ function _findRecordsToMigrate(modelName, version, options, callback) {
     assert.number(version, 'version');
     assert.ok(version >= 1, 'version >= 1');
     assert.object(options, 'options');
+    assert.optionalObject(options.aborter, 'options.aborter');
     assert.object(options.bucketsConfig, 'options.bucketsConfig');
+    assert.string(options.dataVersionField, 'options.dataVersionField');
     assert.object(options.log, 'options.log');
     assert.object(options.morayClient, 'options.morayClient');
+    assert.optionalBool(options.rollback, 'options.rollback');
     assert.func(callback, 'callback');
 
+    var aborter = options.aborter;
     var bucketName = mod_bucketsConfig.modelToBucketName(modelName,
         options.bucketsConfig);
+    var dataVersionField = options.dataVersionField;
     var log = options.log;
+    var chunkSize = mod_bucketsConfig.modelToMigrationChunkSize(modelName,
+        options.bucketsConfig);
     var morayClient = options.morayClient;
+    var invalidQueryRetries = 0;
     var morayFilter;
-    var records = [];
     var RETRY_DELAY_IN_MS = 10000;
+    var retryTimer;
+
+    function onRetryAborted() {
+        clearTimeout(retryTimer);
+        callback(new errors.BucketsInitAbortedError());
+    }
 
     /*
      * !!!! WARNING !!!!
@@ -369,14 +1258,21 @@ function _findRecordsToMigrate(modelName, version, options, callback) {
      *
      * !!!! WARNING !!!!
      */
-    if (version === 1) {
+    if (options.rollback === true) {
+        /*
+         * Rolling back the migration to version N only rolls back records at
+         * version N. Rollbacks are done in sequence, starting from the latest
+         * version, so records at later versions were already rolled back.
+         */
+        morayFilter = util.format('(%s=%d)', dataVersionField, version);
+    } else if (version === 1) {
         /*
          * Version 1 is special, in the sense that there's no anterior version
-         * for which data_version has a value. Instead, the version before
-         * version 1 is represented by an absence of value for the data_version
-         * field.
+         * for which the data version field has a value. Instead, the version
+         * before version 1 is represented by an absence of value for the data
+         * version field.
          */
-        morayFilter = '(!(data_version=*))';
+        morayFilter = util.format('(!(%s=*))', dataVersionField);
     } else {
         /*
          * For any migration whose version number is greater than one, they only
@@ -389,8 +1285,8 @@ function _findRecordsToMigrate(modelName, version, options, callback) {
          *    migration that migrates records without a data_version to records
          *    with a data_version === 1.
          */
-        morayFilter = util.format('(|(!(data_version=*))(data_version=%s))',
-            version - 1);
+        morayFilter = util.format('(|(!(%s=*))(%s=%s))', dataVersionField,
+            dataVersionField, version - 1);
     }
 
     log.debug({filter: morayFilter, version: version},
@@ -419,79 +1315,206 @@ function _findRecordsToMigrate(modelName, version, options, callback) {
      *    indexed, which effectively acts similarly to those two different
      *    options mentioned above.
      */
-    var req = morayClient.findObjects(bucketName, morayFilter);
+    function findRecords() {
+        var records = [];
+        var req = morayClient.findObjects(bucketName, morayFilter, {
+            limit: chunkSize
+        });
 
-    req.once('error', function onRecordsNotAtVersionError(err) {
-        log.error({err: err},
-            'Error when finding next chunk of records to migrate');
+        req.once('error', function onRecordsNotAtVersionError(err) {
+            log.error({err: err},
+                'Error when finding next chunk of records to migrate');
 
-        if (VError.hasCauseWithName(err, 'InvalidQueryError')) {
-            /*
-             * We treat InvalidQueryError here as a transient error and retry
-             * when it occurs because:
-             *
-             * 1. We know that the LDAP filter passed to the findObjects request
-             *    uses only one field (data_version), and that field is present
-             *    as an indexed field in the buckets config (see the
-             *    validateDataMigrations function in this file).
-             *
-             * 2. We know that data migrations are run *after* reindexing of all
-             *    buckets is completed and successful.
-             *
-             * As a result, we can rely on this field being indexed and
-             * searchable, and we know that an InvalidQueryError is returned by
-             * the Moray server only when the bucket cache of the Moray instance
-             * that responded has not been refreshed yet.
-             */
-            log.info('Scheduling retry in ' + RETRY_DELAY_IN_MS + ' ms');
-            setTimeout(function retry() {
-                log.info({version: version},
-                        'Retrying to find records at version less than');
-                _findRecordsToMigrate(modelName, version, options, callback);
-            }, RETRY_DELAY_IN_MS);
-        } else {
-            callback(err);
-        }
-    });
+            if (VError.hasCauseWithName(err, 'InvalidQueryError') &&
+                invalidQueryRetries < MAX_INVALID_QUERY_RETRIES) {
+                /*
+                 * We treat InvalidQueryError here as a transient error and
+                 * retry when it occurs because:
+                 *
+                 * 1. We know that the LDAP filter passed to the findObjects
+                 *    request uses only one field (the data version field),
+                 *    which is present as an indexed field in the buckets config
+                 *    (see the validateDataMigrations function in this file).
+                 *
+                 * 2. We know that data migrations are run *after* reindexing
+                 *    of all buckets is completed and successful, or after
+                 *    checking that buckets are reindexed when they're not set
+                 *    up and reindexed by the same process (see the
+                 *    "requireReindexedBuckets" option of runMigrations).
+                 *
+                 * As a result, we can rely on this field being indexed and
+                 * searchable, and we know that an InvalidQueryError is returned
+                 * by the Moray server only when the bucket cache of the Moray
+                 * instance that responded has not been refreshed yet. Since
+                 * that cache is eventually refreshed, an InvalidQueryError that
+                 * persists after MAX_INVALID_QUERY_RETRIES retries means that
+                 * these assumptions don't hold, and it's passed to "callback"
+                 * so that it's considered to be non-transient (see
+                 * dataMigrationErrorTransient) instead of being retried
+                 * forever.
+                 */
+                if (aborter && aborter.aborted) {
+                    callback(new errors.BucketsInitAbortedError());
+                    return;
+                }
 
-    req.on('record', function onRecord(record) {
-        records.push(record);
-    });
+                ++invalidQueryRetries;
+                log.info('Scheduling retry %d/%d in %d ms',
+                    invalidQueryRetries, MAX_INVALID_QUERY_RETRIES,
+                    RETRY_DELAY_IN_MS);
 
-    req.once('end', function onEnd() {
-        callback(null, records);
-    });
+                retryTimer = setTimeout(function retry() {
+                    if (aborter) {
+                        aborter.removeListener('abort', onRetryAborted);
+                    }
+
+                    log.info({version: version},
+                            'Retrying to find records at version less than');
+                    findRecords();
+                }, RETRY_DELAY_IN_MS);
+
+                if (aborter) {
+                    aborter.once('abort', onRetryAborted);
+                }
+            } else {
+                callback(err);
+            }
+        });
+
+        req.on('record', function onRecord(record) {
+            records.push(record);
+        });
+
+        req.once('end', function onEnd() {
+            callback(null, records);
+        });
+    }
+
+    findRecords();
 }
 
 /*
- * Generates a Moray batch request to PUT all objects in the array of objects
- * "records", and call "callback" when it's done.
+ * Generates a Moray batch request to write all migrated records in the array
+ * "migratedRecords" (as generated by _migrateRecords), and call "callback" when
+ * it's done.
  *
- * @params {String} modelName: the name of the model (e.g "vms", "vm_role_tags",
- *   "server_vms") for which to generate a PUT batch operation
+ * Each migrated record is written under its original key with its original
+ * etag, so that the batch fails if any of the original records was modified
+ * concurrently. If "options.keyFn" is set, it's called with each migrated
+ * record and it returns the key under which that record must be written. When
+ * that key is different from its original key, the record is re-keyed: the
+ * batch writes it under the new key (with a null etag, so that it fails if
+ * that key is already used), and deletes it from its original key (with its
+ * original etag). If "options.keyFn" throws or doesn't return a non-empty
+ * string, no batch is sent and "callback" is called with an
+ * InvalidRecordKeyError.
  *
- * @params {ArrayOfObjects} records
+ * Records migrated to null are deleted, using their original etag. Batch
+ * operations returned by migrations are included as is, except that the
+ * operations on the original record use its original etag.
+ *
+ * @params {String} bucketName: the name of the bucket in which to write
+ *   migrated records
+ *
+ * @params {ArrayOfObjects} migratedRecords
+ *
+ * @params {Object} options
  *
  * @params {Function} callback(err)
  */
-function _putBatch(bucketName, records, options, callback) {
+function _putBatch(bucketName, migratedRecords, options, callback) {
     assert.string(bucketName, 'bucketName');
-    assert.arrayOfObject(records, 'records');
+    assert.arrayOfObject(migratedRecords, 'migratedRecords');
     assert.object(options, 'options');
+    assert.optionalFunc(options.keyFn, 'options.keyFn');
     assert.object(options.morayClient, 'options.morayClient');
     assert.func(callback, 'callback');
 
+    var keyErr;
+    var keyFn = options.keyFn;
     var morayClient = options.morayClient;
+    var ops = [];
+
+    migratedRecords.forEach(function generateOps(migrated) {
+        var key = migrated.originalKey;
+        var record = migrated.migratedRecord;
+
+        if (keyErr) {
+            return;
+        }
+
+        if (record === null) {
+            ops.push({
+                bucket: bucketName,
+                operation: 'delete',
+                key: migrated.originalKey,
+                etag: migrated.originalEtag
+            });
+            return;
+        }
+
+        if (Array.isArray(record)) {
+            record.forEach(function addMigrationOp(op) {
+                if (op.bucket === bucketName &&
+                    op.key === migrated.originalKey) {
+                    op.etag = migrated.originalEtag;
+                }
+
+                ops.push(op);
+            });
+            return;
+        }
+
+        if (keyFn) {
+            try {
+                key = keyFn(record);
+            } catch (keyFnErr) {
+                keyErr = new errors.InvalidRecordKeyError(bucketName,
+                    migrated.originalKey, 'keyFn threw an error', keyFnErr);
+                return;
+            }
+
+            if (typeof (key) !== 'string' || key.length === 0) {
+                keyErr = new errors.InvalidRecordKeyError(bucketName,
+                    migrated.originalKey, 'expected a non-empty string, got ' +
+                        util.inspect(key));
+                return;
+            }
+        }
 
-    morayClient.batch(records.map(function generateVmPutBatch(record) {
-        return {
+        if (key === migrated.originalKey) {
+            ops.push({
+                bucket: bucketName,
+                operation: 'put',
+                key: key,
+                value: record.value,
+                etag: migrated.originalEtag
+            });
+            return;
+        }
+
+        ops.push({
             bucket: bucketName,
             operation: 'put',
-            key: record.value.uuid,
+            key: key,
             value: record.value,
-            etag: record._etag
-        };
-    }), function onBatch(batchErr/* , meta */) {
+            etag: null
+        });
+
+        ops.push({
+            bucket: bucketName,
+            operation: 'delete',
+            key: migrated.originalKey,
+            etag: migrated.originalEtag
+        });
+    });
+
+    if (keyErr) {
+        setImmediate(callback, keyErr);
+        return;
+    }
+
+    morayClient.batch(ops, function onBatch(batchErr/* , meta */) {
         /*
          * We don't care about the data in "meta" for now (the list of etags
          * resulting from writing all records), and adding it later would be
@@ -502,6 +1525,8 @@ function _putBatch(bucketName, records, options, callback) {
 }
 
 module.exports = {
+    dataMigrationErrorTransient: dataMigrationErrorTransient,
+    rollbackMigrations: rollbackMigrations,
     runMigrations: runMigrations,
     validateDataMigrations: validateDataMigrations
 };
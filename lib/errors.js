@@ -10,6 +10,9 @@
 
 var assert = require('assert-plus');
 var util = require('util');
+var VError = require('verror');
+
+var schemaDiff = require('./schema-diff');
 
 function BucketsInitAlreadyStartedError() {
     if (!(this instanceof BucketsInitAlreadyStartedError)) {
@@ -52,16 +55,350 @@ function InvalidIndexesRemovalError(indexes) {
 util.inherits(InvalidIndexesRemovalError, Error);
 exports.InvalidIndexesRemovalError = InvalidIndexesRemovalError;
 
-function SchemaChangesSameVersionError(bucketName, oldSchema, newSchema) {
+/*
+ * "oldSchema" and "newSchema" are the normalized schemas of the existing bucket
+ * and of its configuration, and "diff" their differences, as computed by
+ * "diffBucketSchemas" in lib/schema-diff.js.
+ */
+function SchemaChangesSameVersionError(bucketName, oldSchema, newSchema,
+    diff) {
     Error.call(this);
 
     assert.string(bucketName, 'bucketName');
     assert.object(oldSchema, 'oldSchema');
     assert.object(newSchema, 'newSchema');
+    assert.object(diff, 'diff');
 
     this.name = this.constructor.name;
-    this.message = 'Schema changed but version did not. Old schema: ' +
-        util.inspect(oldSchema) + ', new schema: ' + util.inspect(newSchema);
+    this.bucketName = bucketName;
+    this.diff = diff;
+    this.oldSchema = oldSchema;
+    this.newSchema = newSchema;
+    this.message = util.format('Schema of bucket %s changed but its version ' +
+        '(%j) did not: %s', bucketName, newSchema.options.version,
+        schemaDiff.describeSchemaDiff(diff));
 }
 util.inherits(SchemaChangesSameVersionError, Error);
 exports.SchemaChangesSameVersionError = SchemaChangesSameVersionError;
+
+function BucketsInitAbortedError() {
+    Error.call(this);
+
+    this.name = this.constructor.name;
+    this.message = 'Moray buckets initialization process was aborted';
+}
+util.inherits(BucketsInitAbortedError, Error);
+exports.BucketsInitAbortedError = BucketsInitAbortedError;
+
+function BucketsInitNotRetryableError(reason) {
+    Error.call(this);
+
+    assert.string(reason, 'reason');
+    this.name = this.constructor.name;
+    this.message = 'Moray buckets initialization process cannot be retried: ' +
+        reason;
+}
+util.inherits(BucketsInitNotRetryableError, Error);
+exports.BucketsInitNotRetryableError = BucketsInitNotRetryableError;
+
+function BucketsInitBusyError(reason) {
+    Error.call(this);
+
+    assert.string(reason, 'reason');
+    this.name = this.constructor.name;
+    this.message = 'Moray buckets initializer is busy: ' + reason;
+}
+util.inherits(BucketsInitBusyError, Error);
+exports.BucketsInitBusyError = BucketsInitBusyError;
+
+function BucketNotReindexedError(bucketName) {
+    Error.call(this);
+
+    assert.string(bucketName, 'bucketName');
+    this.name = this.constructor.name;
+    this.message = 'Bucket ' + bucketName + ' is not set up and reindexed ' +
+        'according to its configuration, cannot run data migrations';
+}
+util.inherits(BucketNotReindexedError, Error);
+exports.BucketNotReindexedError = BucketNotReindexedError;
+
+function InvalidMigrationOpsError(version, reason) {
+    Error.call(this);
+
+    assert.number(version, 'version');
+    assert.string(reason, 'reason');
+    this.name = this.constructor.name;
+    this.message = 'Invalid batch operations returned by migration to data ' +
+        'version ' + version + ': ' + reason;
+}
+util.inherits(InvalidMigrationOpsError, Error);
+exports.InvalidMigrationOpsError = InvalidMigrationOpsError;
+
+/*
+ * Error for a key computed by the "keyFn" function of the bucket "bucketName"
+ * for the migrated record with key "originalKey" that is not valid. "cause",
+ * if set, is the error thrown by "keyFn".
+ */
+function InvalidRecordKeyError(bucketName, originalKey, reason, cause) {
+    assert.string(bucketName, 'bucketName');
+    assert.string(originalKey, 'originalKey');
+    assert.string(reason, 'reason');
+    assert.optionalObject(cause, 'cause');
+
+    VError.call(this, {
+        cause: cause,
+        name: 'InvalidRecordKeyError'
+    }, 'Invalid key computed by keyFn of bucket %s for record with key %s: %s',
+        bucketName, originalKey, reason);
+
+    this.bucketName = bucketName;
+    this.key = originalKey;
+}
+util.inherits(InvalidRecordKeyError, VError);
+exports.InvalidRecordKeyError = InvalidRecordKeyError;
+
+function DataMigrationNotReversibleError(modelName, version) {
+    Error.call(this);
+
+    assert.string(modelName, 'modelName');
+    assert.number(version, 'version');
+    this.name = this.constructor.name;
+    this.message = 'Data migration to data version ' + version + ' for ' +
+        'model ' + modelName + ' does not export a rollbackRecord function ' +
+        'and cannot be rolled back';
+}
+util.inherits(DataMigrationNotReversibleError, Error);
+exports.DataMigrationNotReversibleError = DataMigrationNotReversibleError;
+
+function MigrationChecksumMismatchError(mismatches) {
+    Error.call(this);
+
+    assert.arrayOfObject(mismatches, 'mismatches');
+    this.name = this.constructor.name;
+    this.mismatches = mismatches;
+    this.message = 'Data migrations changed after they were applied: ' +
+        mismatches.map(function describeMismatch(mismatch) {
+            return util.format('%s version %d (%s)', mismatch.model,
+                mismatch.version, mismatch.fileName);
+        }).join(', ');
+}
+util.inherits(MigrationChecksumMismatchError, Error);
+exports.MigrationChecksumMismatchError = MigrationChecksumMismatchError;
+
+function BucketsInitLockLostError() {
+    Error.call(this);
+
+    this.name = this.constructor.name;
+    this.message = 'Moray buckets initialization process lost its lock and ' +
+        'was aborted';
+}
+util.inherits(BucketsInitLockLostError, Error);
+exports.BucketsInitLockLostError = BucketsInitLockLostError;
+
+/*
+ * The cause of a TimeBudgetExceededError is the last error with which the
+ * process failed.
+ */
+function TimeBudgetExceededError(processName, timeBudget, lastErr) {
+    assert.string(processName, 'processName');
+    assert.number(timeBudget, 'timeBudget');
+    assert.object(lastErr, 'lastErr');
+
+    VError.call(this, {
+        cause: lastErr,
+        name: 'TimeBudgetExceededError'
+    }, 'Time budget of %d ms exceeded when performing %s', timeBudget,
+        processName);
+}
+util.inherits(TimeBudgetExceededError, VError);
+exports.TimeBudgetExceededError = TimeBudgetExceededError;
+
+/*
+ * Error for an "isErrTransient" function that threw when classifying the error
+ * "err" of the process "processName". Its cause is the error that was thrown,
+ * and its "err" property is the error that was being classified.
+ */
+function ErrorClassificationError(processName, err, cause) {
+    assert.string(processName, 'processName');
+    assert.object(err, 'err');
+    assert.object(cause, 'cause');
+
+    VError.call(this, {
+        cause: cause,
+        name: 'ErrorClassificationError'
+    }, 'isErrTransient threw when classifying error of %s (%s)',
+        processName, err.message);
+
+    this.err = err;
+}
+util.inherits(ErrorClassificationError, VError);
+exports.ErrorClassificationError = ErrorClassificationError;
+
+/*
+ * The cause of a MaxAttemptsExceededError is the last error with which the
+ * process failed, and its "attempts" property is the list of failed attempts,
+ * each an object with the properties "timestamp", "name" and "message".
+ */
+function MaxAttemptsExceededError(processName, attempts, lastErr) {
+    assert.string(processName, 'processName');
+    assert.arrayOfObject(attempts, 'attempts');
+    assert.object(lastErr, 'lastErr');
+
+    VError.call(this, {
+        cause: lastErr,
+        name: 'MaxAttemptsExceededError'
+    }, 'Maximum number of attempts (%d) reached when performing %s',
+        attempts.length, processName);
+
+    this.attempts = attempts;
+}
+util.inherits(MaxAttemptsExceededError, VError);
+exports.MaxAttemptsExceededError = MaxAttemptsExceededError;
+
+/*
+ * "problems" is an array of objects with the properties "path" (the JSON path
+ * of the invalid property in the buckets configuration) and "message".
+ */
+function InvalidBucketsConfigError(problems) {
+    Error.call(this);
+
+    assert.arrayOfObject(problems, 'problems');
+    this.name = this.constructor.name;
+    this.problems = problems;
+    this.message = 'Invalid buckets configuration: ' +
+        problems.map(function describeProblem(problem) {
+            return problem.path + ' ' + problem.message;
+        }).join('; ');
+}
+util.inherits(InvalidBucketsConfigError, Error);
+exports.InvalidBucketsConfigError = InvalidBucketsConfigError;
+
+/*
+ * Errors returned by "validateDataMigrations" in lib/data-migrations.js. Each
+ * of them has a "model" property: the name of the model whose data migrations
+ * are not valid.
+ */
+function UnknownMigrationModelError(modelName) {
+    Error.call(this);
+
+    assert.string(modelName, 'modelName');
+    this.name = this.constructor.name;
+    this.model = modelName;
+    this.message = 'Data migrations found for model ' + modelName + ', ' +
+        'which is not present in the buckets configuration';
+}
+util.inherits(UnknownMigrationModelError, Error);
+exports.UnknownMigrationModelError = UnknownMigrationModelError;
+
+function MissingDataVersionIndexError(modelName, dataVersionField) {
+    Error.call(this);
+
+    assert.string(modelName, 'modelName');
+    assert.string(dataVersionField, 'dataVersionField');
+    this.name = this.constructor.name;
+    this.model = modelName;
+    this.message = 'Bucket configuration of model ' + modelName + ' must ' +
+        'have an indexed field ' + dataVersionField + ' of type ' +
+        '\'number\' to store the data version of records';
+}
+util.inherits(MissingDataVersionIndexError, Error);
+exports.MissingDataVersionIndexError = MissingDataVersionIndexError;
+
+function InvalidDataMigrationVersionError(modelName, fileName, expectedVersion,
+    version) {
+    Error.call(this);
+
+    assert.string(modelName, 'modelName');
+    assert.optionalString(fileName, 'fileName');
+    assert.number(expectedVersion, 'expectedVersion');
+    this.name = this.constructor.name;
+    this.model = modelName;
+    this.message = util.format('Data migration %s for model %s must have ' +
+        'DATA_VERSION %d, got %j', fileName || expectedVersion, modelName,
+        expectedVersion, version);
+}
+util.inherits(InvalidDataMigrationVersionError, Error);
+exports.InvalidDataMigrationVersionError = InvalidDataMigrationVersionError;
+
+function MissingMigrateRecordError(modelName, version, fileName) {
+    Error.call(this);
+
+    assert.string(modelName, 'modelName');
+    assert.number(version, 'version');
+    assert.optionalString(fileName, 'fileName');
+    this.name = this.constructor.name;
+    this.model = modelName;
+    this.message = util.format('Data migration %s for model %s does not ' +
+        'export a migrateRecord function', fileName || version, modelName);
+}
+util.inherits(MissingMigrateRecordError, Error);
+exports.MissingMigrateRecordError = MissingMigrateRecordError;
+
+function InvalidDataMigrationError(modelName, version, reason) {
+    Error.call(this);
+
+    assert.string(modelName, 'modelName');
+    assert.number(version, 'version');
+    assert.string(reason, 'reason');
+    this.name = this.constructor.name;
+    this.model = modelName;
+    this.message = 'Invalid data migration to data version ' + version +
+        ' for model ' + modelName + ': ' + reason;
+}
+util.inherits(InvalidDataMigrationError, Error);
+exports.InvalidDataMigrationError = InvalidDataMigrationError;
+
+/*
+ * Errors for backward incompatible changes to existing indexes. "changes" is
+ * an object whose keys are the names of the changed indexes, and whose values
+ * are objects with the properties "old" and "new": the index definitions in
+ * the existing bucket and in its configuration.
+ */
+function describeIndexChanges(changes) {
+    return Object.keys(changes).map(function describeChange(indexName) {
+        return util.format('%s (from %j to %j)', indexName,
+            changes[indexName].old, changes[indexName].new);
+    }).join(', ');
+}
+
+function InvalidIndexTypeChangeError(bucketName, changes) {
+    Error.call(this);
+
+    assert.string(bucketName, 'bucketName');
+    assert.object(changes, 'changes');
+    this.name = this.constructor.name;
+    this.bucketName = bucketName;
+    this.changes = changes;
+    this.message = 'Invalid change of index types in bucket ' + bucketName +
+        ': ' + describeIndexChanges(changes);
+}
+util.inherits(InvalidIndexTypeChangeError, Error);
+exports.InvalidIndexTypeChangeError = InvalidIndexTypeChangeError;
+
+function InvalidIndexArrayChangeError(bucketName, changes) {
+    Error.call(this);
+
+    assert.string(bucketName, 'bucketName');
+    assert.object(changes, 'changes');
+    this.name = this.constructor.name;
+    this.bucketName = bucketName;
+    this.changes = changes;
+    this.message = 'Invalid change of index types between array and scalar ' +
+        'in bucket ' + bucketName + ': ' + describeIndexChanges(changes);
+}
+util.inherits(InvalidIndexArrayChangeError, Error);
+exports.InvalidIndexArrayChangeError = InvalidIndexArrayChangeError;
+
+function InvalidIndexUniqueChangeError(bucketName, changes) {
+    Error.call(this);
+
+    assert.string(bucketName, 'bucketName');
+    assert.object(changes, 'changes');
+    this.name = this.constructor.name;
+    this.bucketName = bucketName;
+    this.changes = changes;
+    this.message = 'Invalid change of unique flag of indexes in bucket ' +
+        bucketName + ': ' + describeIndexChanges(changes);
+}
+util.inherits(InvalidIndexUniqueChangeError, Error);
+exports.InvalidIndexUniqueChangeError = InvalidIndexUniqueChangeError;
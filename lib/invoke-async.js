@@ -0,0 +1,106 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * This module implements calling user-provided functions (e.g lifecycle hooks)
+ * that can be asynchronous in any of the common ways: by taking a callback as
+ * their last parameter, or by returning a promise. Functions that do neither
+ * are considered to be synchronous.
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+
+/*
+ * Calls the function "fn" with the arguments in the array "args", and calls
+ * "callback" as "callback(err, result)" once it completed:
+ *
+ * - if "fn" declares more parameters than the number of elements in "args",
+ *   it's passed a callback as its last argument, and is considered complete
+ *   once it calls that callback.
+ *
+ * - otherwise, if "fn" returns a promise, it's considered complete once that
+ *   promise is settled.
+ *
+ * - otherwise, it's considered complete once it returned, and its return
+ *   value is passed as "result".
+ *
+ * If "fn" throws, or if its promise is rejected, "callback" is called with an
+ * error. Values that are not Error instances are wrapped in an Error, so that
+ * callers can always classify errors by name.
+ */
+function invokeAsync(fn, args, callback) {
+    assert.func(fn, 'fn');
+    assert.array(args, 'args');
+    assert.func(callback, 'callback');
+
+    var called = false;
+    var ret;
+
+    function done(err, result) {
+        if (called) {
+            return;
+        }
+
+        called = true;
+
+        if (err !== undefined && err !== null && !(err instanceof Error)) {
+            err = new Error('Function ' + (fn.name || '(anonymous)') +
+                ' failed with non-error value: ' + util.inspect(err));
+        }
+
+        callback(err || null, result);
+    }
+
+    if (fn.length > args.length) {
+        try {
+            fn.apply(null, args.concat([done]));
+        } catch (fnErr) {
+            /*
+             * Errors thrown by "callback" once "fn" completed must not be
+             * reported as errors of "fn".
+             */
+            if (called) {
+                throw fnErr;
+            }
+
+            done(fnErr);
+        }
+
+        return;
+    }
+
+    try {
+        ret = fn.apply(null, args);
+    } catch (fnErr) {
+        setImmediate(done, fnErr);
+        return;
+    }
+
+    if (ret !== undefined && ret !== null && typeof (ret.then) === 'function') {
+        ret.then(function onResolved(result) {
+            setImmediate(done, null, result);
+        }, function onRejected(rejectErr) {
+            /*
+             * A promise can be rejected with a falsy value, but it's still an
+             * error.
+             */
+            setImmediate(done, rejectErr || new Error('Function ' +
+                (fn.name || '(anonymous)') + ' rejected with no error'));
+        });
+        return;
+    }
+
+    setImmediate(done, null, ret);
+}
+
+module.exports = {
+    invokeAsync: invokeAsync
+};
@@ -0,0 +1,93 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * This module defines the Moray bucket in which this library stores its own
+ * metadata, such as the migrations ledger (see lib/migrations-ledger.js) and
+ * the buckets initialization lock (see lib/buckets-lock.js). Objects of
+ * different kinds are told apart by their "type" indexed field.
+ *
+ * That bucket is created the first time an object needs to be written to it,
+ * so that processes that only read metadata never write to Moray.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var VError = require('verror');
+
+var META_BUCKET_NAME = 'merci_buckets_meta';
+var META_BUCKET_SCHEMA = {
+    index: {
+        type: { type: 'string' },
+        model: { type: 'string' },
+        data_version: { type: 'number' }
+    },
+    options: {
+        version: 1
+    }
+};
+
+/*
+ * Creates the metadata bucket if it doesn't exist, and calls "callback" as
+ * "callback(err)".
+ */
+function ensureMetaBucket(morayClient, log, callback) {
+    assert.object(morayClient, 'morayClient');
+    assert.object(log, 'log');
+    assert.func(callback, 'callback');
+
+    morayClient.getBucket(META_BUCKET_NAME,
+        function onGetBucket(getBucketErr) {
+            if (!getBucketErr) {
+                callback();
+                return;
+            }
+
+            if (!VError.hasCauseWithName(getBucketErr,
+                'BucketNotFoundError')) {
+                callback(getBucketErr);
+                return;
+            }
+
+            log.info('Creating metadata bucket %s', META_BUCKET_NAME);
+
+            morayClient.createBucket(META_BUCKET_NAME, META_BUCKET_SCHEMA,
+                function onCreated(createErr) {
+                    /*
+                     * Another process might have created the bucket
+                     * concurrently, which is fine.
+                     */
+                    if (createErr && VError.hasCauseWithName(createErr,
+                        'BucketConflictError')) {
+                        callback();
+                        return;
+                    }
+
+                    callback(createErr);
+                });
+        });
+}
+
+/*
+ * Returns a copy of the metadata object value "entry" in which the properties
+ * of "properties" were set, leaving "entry" unchanged.
+ */
+function extendEntry(entry, properties) {
+    assert.object(entry, 'entry');
+    assert.object(properties, 'properties');
+
+    return jsprim.mergeObjects(properties, null, entry);
+}
+
+module.exports = {
+    ensureMetaBucket: ensureMetaBucket,
+    extendEntry: extendEntry,
+    META_BUCKET_NAME: META_BUCKET_NAME
+};
@@ -0,0 +1,354 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * A MigrationsLedger instance keeps track of which data migrations were applied
+ * to each model, in the metadata bucket managed by this library (see
+ * lib/meta-bucket.js). For each model and DATA_VERSION, the ledger stores an
+ * object whose value has the following properties:
+ *
+ * - "type": always 'migration', so that other types of metadata can be stored
+ *   in the same bucket later
+ *
+ * - "model" and "data_version": the model and data version of the migration
+ *
+ * - "state": 'STARTED' when the migration started, 'DONE' once all records
+ *   were migrated, 'ROLLED_BACK' once it was rolled back
+ *
+ * - "file_name" and "checksum": the name of the migration file and the sha256
+ *   checksum of its content (see lib/data-migrations-loader.js), or null if
+ *   the migration was not loaded from a file
+ *
+ * - "started_at", "finished_at" and "rolled_back_at": ISO 8601 timestamps
+ *
+ * - "records_migrated": the number of records migrated by the run that
+ *   completed the migration
+ *
+ * - "instance_id" and "code_version": identify the process and the version of
+ *   the code that ran the migration
+ */
+
+var assert = require('assert-plus');
+var util = require('util');
+var VError = require('verror');
+
+var errors = require('./errors');
+var metaBucket = require('./meta-bucket');
+
+/*
+ * The number of ledger entries read per findObjects request when loading the
+ * ledger, which is also Moray's default page size.
+ */
+var LOAD_PAGE_SIZE = 1000;
+var MIGRATION_ENTRY_TYPE = 'migration';
+
+function MigrationsLedger(options) {
+    assert.object(options, 'options');
+    assert.optionalString(options.codeVersion, 'options.codeVersion');
+    assert.string(options.instanceId, 'options.instanceId');
+    assert.object(options.log, 'options.log');
+    assert.object(options.morayClient, 'options.morayClient');
+
+    this._bucketExists = false;
+    this._codeVersion = options.codeVersion || null;
+    /*
+     * Ledger entries keyed by model name and then by data version, as loaded
+     * by the "load" method and updated by the "record*" methods.
+     */
+    this._entries = {};
+    this._instanceId = options.instanceId;
+    this._log = options.log;
+    this._morayClient = options.morayClient;
+}
+
+function entryKey(modelName, version) {
+    return util.format('%s:%s:%d', MIGRATION_ENTRY_TYPE, modelName, version);
+}
+
+/*
+ * Loads all migration entries from the ledger bucket, and calls "callback" as
+ * "callback(err)". A missing ledger bucket is not an error: it means that no
+ * migration was recorded yet. Entries are read in pages of LOAD_PAGE_SIZE
+ * entries, sorted by "_id" so that pages don't overlap, since Moray returns at
+ * most one page of results per findObjects request.
+ */
+MigrationsLedger.prototype.load = function load(callback) {
+    assert.func(callback, 'callback');
+
+    var entries = {};
+    var self = this;
+
+    function loadPage(offset) {
+        var nbRecords = 0;
+        var req;
+
+        req = self._morayClient.findObjects(metaBucket.META_BUCKET_NAME,
+            util.format('(type=%s)', MIGRATION_ENTRY_TYPE), {
+                limit: LOAD_PAGE_SIZE,
+                offset: offset,
+                sort: {
+                    attribute: '_id',
+                    order: 'ASC'
+                }
+            });
+
+        req.once('error', function onFindError(findErr) {
+            req.removeAllListeners('record');
+            req.removeAllListeners('end');
+
+            if (VError.hasCauseWithName(findErr, 'BucketNotFoundError')) {
+                self._bucketExists = false;
+                self._entries = {};
+                callback();
+                return;
+            }
+
+            callback(findErr);
+        });
+
+        req.on('record', function onRecord(record) {
+            var value = record.value;
+
+            ++nbRecords;
+
+            if (entries[value.model] === undefined) {
+                entries[value.model] = {};
+            }
+
+            entries[value.model][value.data_version] = value;
+        });
+
+        req.once('end', function onEnd() {
+            req.removeAllListeners('error');
+
+            if (nbRecords === LOAD_PAGE_SIZE) {
+                loadPage(offset + nbRecords);
+                return;
+            }
+
+            self._bucketExists = true;
+            self._entries = entries;
+            callback();
+        });
+    }
+
+    loadPage(0);
+};
+
+/*
+ * Returns the ledger entry for the migration of model "modelName" to data
+ * version "version", or undefined if there's none. The "load" method must have
+ * been called first.
+ */
+MigrationsLedger.prototype.getEntry = function getEntry(modelName, version) {
+    assert.string(modelName, 'modelName');
+    assert.number(version, 'version');
+
+    return this._entries[modelName] && this._entries[modelName][version];
+};
+
+/*
+ * Returns a MigrationChecksumMismatchError if the checksum of any of the
+ * migrations in "migrations" (keyed by model name, as loaded by
+ * lib/data-migrations-loader.js) differs from the checksum recorded in the
+ * ledger for a migration that was already applied, and undefined otherwise.
+ * The "load" method must have been called first.
+ */
+MigrationsLedger.prototype.checkChecksums =
+function checkChecksums(migrations) {
+    assert.object(migrations, 'migrations');
+
+    var mismatches = [];
+    var self = this;
+
+    Object.keys(migrations).forEach(function checkModel(modelName) {
+        migrations[modelName].forEach(function checkMigration(migration) {
+            var entry = self.getEntry(modelName, migration.DATA_VERSION);
+
+            if (entry === undefined || entry.state !== 'DONE' ||
+                entry.checksum === null || migration.checksum === undefined) {
+                return;
+            }
+
+            if (entry.checksum !== migration.checksum) {
+                mismatches.push({
+                    model: modelName,
+                    version: migration.DATA_VERSION,
+                    fileName: migration.fileName,
+                    appliedChecksum: entry.checksum,
+                    checksum: migration.checksum
+                });
+            }
+        });
+    });
+
+    if (mismatches.length > 0) {
+        return new errors.MigrationChecksumMismatchError(mismatches);
+    }
+};
+
+/*
+ * Records that the migration "migration" of model "modelName" started, and
+ * calls "callback" as "callback(err)".
+ */
+MigrationsLedger.prototype.recordStarted =
+function recordStarted(modelName, migration, callback) {
+    assert.string(modelName, 'modelName');
+    assert.object(migration, 'migration');
+    assert.func(callback, 'callback');
+
+    var entry = this.getEntry(modelName, migration.DATA_VERSION);
+
+    /*
+     * Migrations that were already applied run again to migrate records that
+     * might have been written at a previous version since then, but the
+     * ledger keeps reporting when they were first applied.
+     */
+    if (entry !== undefined && entry.state === 'DONE') {
+        setImmediate(callback);
+        return;
+    }
+
+    this._putEntry({
+        type: MIGRATION_ENTRY_TYPE,
+        model: modelName,
+        data_version: migration.DATA_VERSION,
+        state: 'STARTED',
+        file_name: migration.fileName || null,
+        checksum: migration.checksum || null,
+        /*
+         * When a migration is retried, it's still considered to have started
+         * when it was first attempted.
+         */
+        started_at: (entry !== undefined && entry.state === 'STARTED') ?
+            entry.started_at : new Date().toISOString(),
+        instance_id: this._instanceId,
+        code_version: this._codeVersion
+    }, callback);
+};
+
+/*
+ * Records that all records of model "modelName" were migrated by the migration
+ * "migration", "count" of them by the run that just completed, and calls
+ * "callback" as "callback(err)".
+ */
+MigrationsLedger.prototype.recordDone =
+function recordDone(modelName, migration, count, callback) {
+    assert.string(modelName, 'modelName');
+    assert.object(migration, 'migration');
+    assert.number(count, 'count');
+    assert.func(callback, 'callback');
+
+    var entry = this.getEntry(modelName, migration.DATA_VERSION);
+
+    assert.object(entry, 'entry');
+
+    if (entry.state === 'DONE') {
+        setImmediate(callback);
+        return;
+    }
+
+    this._putEntry(metaBucket.extendEntry(entry, {
+        state: 'DONE',
+        finished_at: new Date().toISOString(),
+        records_migrated: count
+    }), callback);
+};
+
+/*
+ * Records that the migration "migration" of model "modelName" was rolled back,
+ * and calls "callback" as "callback(err)". Rolled back migrations are not
+ * considered to be applied anymore, so their checksum can change.
+ */
+MigrationsLedger.prototype.recordRolledBack =
+function recordRolledBack(modelName, migration, callback) {
+    assert.string(modelName, 'modelName');
+    assert.object(migration, 'migration');
+    assert.func(callback, 'callback');
+
+    var entry = this.getEntry(modelName, migration.DATA_VERSION);
+
+    if (entry === undefined) {
+        setImmediate(callback);
+        return;
+    }
+
+    this._putEntry(metaBucket.extendEntry(entry, {
+        state: 'ROLLED_BACK',
+        rolled_back_at: new Date().toISOString(),
+        instance_id: this._instanceId,
+        code_version: this._codeVersion
+    }), callback);
+};
+
+MigrationsLedger.prototype._putEntry = function _putEntry(entry, callback) {
+    assert.object(entry, 'entry');
+    assert.func(callback, 'callback');
+
+    var key = entryKey(entry.model, entry.data_version);
+    var self = this;
+
+    self._ensureBucket(function onBucketReady(bucketErr) {
+        if (bucketErr) {
+            callback(bucketErr);
+            return;
+        }
+
+        self._log.debug({entry: entry}, 'Writing migrations ledger entry');
+
+        self._morayClient.putObject(metaBucket.META_BUCKET_NAME, key, entry,
+            function onPut(putErr) {
+                if (!putErr) {
+                    if (self._entries[entry.model] === undefined) {
+                        self._entries[entry.model] = {};
+                    }
+
+                    self._entries[entry.model][entry.data_version] = entry;
+                }
+
+                callback(putErr);
+            });
+    });
+};
+
+MigrationsLedger.prototype._ensureBucket = function _ensureBucket(callback) {
+    assert.func(callback, 'callback');
+
+    var self = this;
+
+    if (self._bucketExists) {
+        setImmediate(callback);
+        return;
+    }
+
+    metaBucket.ensureMetaBucket(self._morayClient, self._log,
+        function onBucketReady(bucketErr) {
+            if (!bucketErr) {
+                self._bucketExists = true;
+            }
+
+            callback(bucketErr);
+        });
+};
+
+/*
+ * Returns false for errors that retrying to read or write the ledger would not
+ * fix, and true otherwise.
+ */
+function isLedgerErrorTransient(err) {
+    assert.object(err, 'err');
+
+    return !VError.hasCauseWithName(err, 'MigrationChecksumMismatchError');
+}
+
+module.exports = {
+    isLedgerErrorTransient: isLedgerErrorTransient,
+    MigrationsLedger: MigrationsLedger
+};
@@ -0,0 +1,165 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * This module implements computing the differences between two moray bucket
+ * schemas, so that they can be reported in a structured way (e.g by the
+ * buckets setup planning process) instead of dumping both schemas.
+ */
+
+var assert = require('assert-plus');
+var jsprim = require('jsprim');
+var util = require('util');
+
+/*
+ * Computes the differences between the bucket schemas "oldSchema" and
+ * "newSchema". Missing "index", "options", "pre" and "post" properties are
+ * considered to be empty. Returns an object of the following form:
+ *
+ * {
+ *     indexesAdded: ['name_of_added_index'],
+ *     indexesRemoved: ['name_of_removed_index'],
+ *     indexesChanged: {
+ *         name_of_changed_index: {
+ *             old: {type: 'string'},
+ *             new: {type: 'number'}
+ *         }
+ *     },
+ *     optionsChanged: {
+ *         version: {old: 1, new: 2}
+ *     },
+ *     preChanged: false,
+ *     postChanged: true
+ * }
+ */
+function diffBucketSchemas(oldSchema, newSchema) {
+    assert.object(oldSchema, 'oldSchema');
+    assert.object(newSchema, 'newSchema');
+
+    var diff = {
+        indexesAdded: [],
+        indexesRemoved: [],
+        indexesChanged: {},
+        optionsChanged: {},
+        preChanged: false,
+        postChanged: false
+    };
+    var newIndexes = newSchema.index || {};
+    var newOptions = newSchema.options || {};
+    var oldIndexes = oldSchema.index || {};
+    var oldOptions = oldSchema.options || {};
+
+    Object.keys(oldIndexes).forEach(function checkOldIndex(indexName) {
+        if (!newIndexes.hasOwnProperty(indexName)) {
+            diff.indexesRemoved.push(indexName);
+        } else if (!jsprim.deepEqual(oldIndexes[indexName],
+            newIndexes[indexName])) {
+            diff.indexesChanged[indexName] = {
+                old: oldIndexes[indexName],
+                new: newIndexes[indexName]
+            };
+        }
+    });
+
+    Object.keys(newIndexes).forEach(function checkNewIndex(indexName) {
+        if (!oldIndexes.hasOwnProperty(indexName)) {
+            diff.indexesAdded.push(indexName);
+        }
+    });
+
+    Object.keys(oldOptions).concat(Object.keys(newOptions)).forEach(
+        function checkOption(optionName) {
+            if (diff.optionsChanged.hasOwnProperty(optionName)) {
+                return;
+            }
+
+            if (!jsprim.deepEqual(oldOptions[optionName],
+                newOptions[optionName])) {
+                diff.optionsChanged[optionName] = {
+                    old: oldOptions[optionName],
+                    new: newOptions[optionName]
+                };
+            }
+        });
+
+    diff.preChanged = !jsprim.deepEqual(oldSchema.pre || [],
+        newSchema.pre || []);
+    diff.postChanged = !jsprim.deepEqual(oldSchema.post || [],
+        newSchema.post || []);
+
+    return diff;
+}
+
+/*
+ * Returns true if the schema diff "diff", as returned by "diffBucketSchemas",
+ * does not include any difference, false otherwise.
+ */
+function isSchemaDiffEmpty(diff) {
+    assert.object(diff, 'diff');
+
+    return diff.indexesAdded.length === 0 &&
+        diff.indexesRemoved.length === 0 &&
+        Object.keys(diff.indexesChanged).length === 0 &&
+        Object.keys(diff.optionsChanged).length === 0 &&
+        !diff.preChanged && !diff.postChanged;
+}
+
+/*
+ * Returns a concise human readable description of the schema diff "diff", as
+ * returned by "diffBucketSchemas", e.g "indexes added: bar; index foo changed
+ * from {"type":"string"} to {"type":"number"}; option version changed from 1
+ * to 2". Returns 'no change' if "diff" is empty.
+ */
+function describeSchemaDiff(diff) {
+    assert.object(diff, 'diff');
+
+    var changes = [];
+
+    if (diff.indexesAdded.length > 0) {
+        changes.push('indexes added: ' + diff.indexesAdded.join(', '));
+    }
+
+    if (diff.indexesRemoved.length > 0) {
+        changes.push('indexes removed: ' + diff.indexesRemoved.join(', '));
+    }
+
+    Object.keys(diff.indexesChanged).forEach(function describeIndex(indexName) {
+        changes.push(util.format('index %s changed from %j to %j', indexName,
+            diff.indexesChanged[indexName].old,
+            diff.indexesChanged[indexName].new));
+    });
+
+    Object.keys(diff.optionsChanged).forEach(
+        function describeOption(optionName) {
+            changes.push(util.format('option %s changed from %j to %j',
+                optionName, diff.optionsChanged[optionName].old,
+                diff.optionsChanged[optionName].new));
+        });
+
+    if (diff.preChanged) {
+        changes.push('pre triggers changed');
+    }
+
+    if (diff.postChanged) {
+        changes.push('post triggers changed');
+    }
+
+    if (changes.length === 0) {
+        return 'no change';
+    }
+
+    return changes.join('; ');
+}
+
+module.exports = {
+    describeSchemaDiff: describeSchemaDiff,
+    diffBucketSchemas: diffBucketSchemas,
+    isSchemaDiffEmpty: isSchemaDiffEmpty
+};
@@ -0,0 +1,242 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * A Throttle instance limits the rate, in records per second, at which
+ * buckets are reindexed and records are migrated, both for all buckets
+ * ("global" limit) and for each bucket ("perBucket" limit). The same instance
+ * is shared by the reindexing and data migrations processes of a
+ * MorayBucketsInitializer, so that the global limit applies to both.
+ *
+ * Each limit is implemented as a token bucket whose capacity is one second
+ * worth of records. The number of records processed by a request is usually
+ * known only once that request completes, so loops that process records call
+ * "wait" before sending each request, and "consume" with the number of records
+ * it processed when it completes. "wait" calls back once neither the global
+ * token bucket nor the token bucket of the given Moray bucket is in debt.
+ */
+
+var assert = require('assert-plus');
+
+var errors = require('./errors');
+
+function TokenBucket(rate) {
+    this.lastRefill = Date.now();
+    this.rate = rate;
+    this.tokens = rate;
+}
+
+TokenBucket.prototype.refill = function refill() {
+    var now = Date.now();
+
+    if (this.rate !== null) {
+        this.tokens = Math.min(this.rate,
+            this.tokens + (now - this.lastRefill) * this.rate / 1000);
+    }
+
+    this.lastRefill = now;
+};
+
+TokenBucket.prototype.setRate = function setRate(rate) {
+    this.refill();
+
+    if (rate === null) {
+        this.tokens = 0;
+    } else if (this.rate === null || this.tokens > rate) {
+        this.tokens = rate;
+    }
+
+    this.rate = rate;
+};
+
+/*
+ * Returns the number of milliseconds to wait before this token bucket is not
+ * in debt anymore.
+ */
+TokenBucket.prototype.delayMs = function delayMs() {
+    this.refill();
+
+    if (this.rate === null || this.tokens > 0) {
+        return 0;
+    }
+
+    return Math.ceil(-this.tokens * 1000 / this.rate) + 1;
+};
+
+TokenBucket.prototype.consume = function consume(count) {
+    this.refill();
+
+    if (this.rate !== null) {
+        this.tokens -= count;
+    }
+};
+
+function validateRateLimit(rateLimit) {
+    assert.optionalObject(rateLimit, 'rateLimit');
+
+    if (rateLimit === undefined || rateLimit === null) {
+        return;
+    }
+
+    ['global', 'perBucket'].forEach(function checkLimit(limitName) {
+        var limit = rateLimit[limitName];
+
+        assert.ok(limit === undefined || limit === null ||
+            (typeof (limit) === 'number' && limit > 0),
+            'rateLimit.' + limitName + ' must be a positive number');
+    });
+}
+
+function Throttle(options) {
+    assert.object(options, 'options');
+    assert.object(options.log, 'options.log');
+    validateRateLimit(options.rateLimit);
+
+    this._bucketTokens = {};
+    this._globalTokens = new TokenBucket(null);
+    this._log = options.log;
+    this._perBucketRate = null;
+    /*
+     * Pending calls to "wait", so that they can be rescheduled when rate
+     * limits change.
+     */
+    this._waiters = [];
+
+    this.setRateLimit(options.rateLimit);
+}
+
+/*
+ * Changes the rate limits to "rateLimit", an object with optional "global" and
+ * "perBucket" properties in records per second. A missing or null property
+ * means that there is no such limit. Pending waits are rescheduled according
+ * to the new limits.
+ */
+Throttle.prototype.setRateLimit = function setRateLimit(rateLimit) {
+    validateRateLimit(rateLimit);
+
+    var globalRate = null;
+    var self = this;
+    var waiters = self._waiters;
+
+    if (rateLimit !== undefined && rateLimit !== null) {
+        if (typeof (rateLimit.global) === 'number') {
+            globalRate = rateLimit.global;
+        }
+
+        if (typeof (rateLimit.perBucket) === 'number') {
+            self._perBucketRate = rateLimit.perBucket;
+        } else {
+            self._perBucketRate = null;
+        }
+    } else {
+        self._perBucketRate = null;
+    }
+
+    self._log.info({globalRate: globalRate, perBucketRate: self._perBucketRate},
+        'Setting rate limits');
+
+    self._globalTokens.setRate(globalRate);
+    Object.keys(self._bucketTokens).forEach(function setBucketRate(name) {
+        self._bucketTokens[name].setRate(self._perBucketRate);
+    });
+
+    self._waiters = [];
+    waiters.forEach(function reschedule(waiter) {
+        clearTimeout(waiter.timer);
+        self._schedule(waiter);
+    });
+};
+
+Throttle.prototype._getBucketTokens = function _getBucketTokens(bucketName) {
+    if (this._bucketTokens[bucketName] === undefined) {
+        this._bucketTokens[bucketName] = new TokenBucket(this._perBucketRate);
+    }
+
+    return this._bucketTokens[bucketName];
+};
+
+/*
+ * Calls "callback" as "callback(err)" once records of the bucket "bucketName"
+ * can be processed without exceeding rate limits. If "aborter" is set and is
+ * aborted while waiting, "callback" is called with a BucketsInitAbortedError.
+ */
+Throttle.prototype.wait = function wait(bucketName, aborter, callback) {
+    assert.string(bucketName, 'bucketName');
+    assert.optionalObject(aborter, 'aborter');
+    assert.func(callback, 'callback');
+
+    var self = this;
+    var waiter = {
+        aborter: aborter,
+        bucketName: bucketName,
+        callback: callback,
+        onAbort: undefined,
+        timer: undefined
+    };
+
+    if (aborter) {
+        waiter.onAbort = function onAbort() {
+            clearTimeout(waiter.timer);
+            self._removeWaiter(waiter);
+            callback(new errors.BucketsInitAbortedError());
+        };
+
+        aborter.once('abort', waiter.onAbort);
+    }
+
+    self._schedule(waiter);
+};
+
+Throttle.prototype._schedule = function _schedule(waiter) {
+    var delay;
+    var self = this;
+
+    delay = Math.max(self._globalTokens.delayMs(),
+        self._getBucketTokens(waiter.bucketName).delayMs());
+
+    if (delay > 0) {
+        self._log.debug({bucketName: waiter.bucketName, delay: delay},
+            'Rate limit reached, waiting');
+    }
+
+    self._waiters.push(waiter);
+    waiter.timer = setTimeout(function onWaited() {
+        self._removeWaiter(waiter);
+
+        if (waiter.aborter) {
+            waiter.aborter.removeListener('abort', waiter.onAbort);
+        }
+
+        waiter.callback();
+    }, delay);
+};
+
+Throttle.prototype._removeWaiter = function _removeWaiter(waiter) {
+    var idx = this._waiters.indexOf(waiter);
+
+    if (idx !== -1) {
+        this._waiters.splice(idx, 1);
+    }
+};
+
+/*
+ * Records that "count" records of the bucket "bucketName" were processed.
+ */
+Throttle.prototype.consume = function consume(bucketName, count) {
+    assert.string(bucketName, 'bucketName');
+    assert.number(count, 'count');
+
+    this._globalTokens.consume(count);
+    this._getBucketTokens(bucketName).consume(count);
+};
+
+module.exports = {
+    Throttle: Throttle
+};
@@ -0,0 +1,28 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+
+var DATA_VERSION = 1;
+
+module.exports = {
+    CONCURRENCY: 10,
+    DATA_VERSION: DATA_VERSION,
+    migrateRecord: function migrateRecord(record, options, callback) {
+        assert.object(record, 'record');
+        assert.object(options, 'options');
+        assert.func(callback, 'callback');
+
+        setImmediate(function onMigrated() {
+            record.value.bar = 'foo';
+            callback(null, record);
+        });
+    }
+};
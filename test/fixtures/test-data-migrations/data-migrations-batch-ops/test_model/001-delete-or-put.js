@@ -0,0 +1,35 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+
+var DATA_VERSION = 1;
+
+module.exports = {
+    DATA_VERSION: DATA_VERSION,
+    migrateRecord: function migrateRecord(record) {
+        assert.object(record, 'record');
+
+        if (record.value.foo === 'delete') {
+            return null;
+        }
+
+        record.value.bar = 'foo';
+
+        return [
+            {
+                bucket: record.bucket,
+                operation: 'put',
+                key: record.key,
+                value: record.value
+            }
+        ];
+    }
+};
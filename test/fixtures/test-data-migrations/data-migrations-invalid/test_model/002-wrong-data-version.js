@@ -0,0 +1,26 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+var assert = require('assert-plus');
+
+/*
+ * This data migration is intentionally invalid: it is the second migration for
+ * its model, so its DATA_VERSION should be 2.
+ */
+var DATA_VERSION = 3;
+
+module.exports = {
+    DATA_VERSION: DATA_VERSION,
+    migrateRecord: function migrateRecord(record) {
+        assert.object(record, 'record');
+        record.value.data_version = DATA_VERSION;
+        return record;
+    }
+};
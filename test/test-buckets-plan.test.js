@@ -0,0 +1,189 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+var bunyan = require('bunyan');
+var test = require('tape');
+var vasync = require('vasync');
+var verror = require('verror');
+
+var MorayBucketsInitializer = require('../index').MorayBucketsInitializer;
+var planBuckets = require('../index').planBuckets;
+var testMoray = require('./lib/moray.js');
+
+var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_plan';
+var TEST_LOGGER = bunyan.createLogger({
+    name: 'test-buckets-plan'
+});
+
+var TEST_BUCKETS_CONFIG_V0 = {
+    test_model: {
+        name: TEST_BUCKET_NAME,
+        schema: {
+            index: {
+                foo: { type: 'string' }
+            }
+        }
+    }
+};
+
+var TEST_BUCKETS_CONFIG_V1 = {
+    test_model: {
+        name: TEST_BUCKET_NAME,
+        schema: {
+            index: {
+                foo: { type: 'string' },
+                bar: { type: 'string' }
+            },
+            options: {
+                version: 1
+            }
+        }
+    }
+};
+
+var TEST_BUCKETS_CONFIG_V0_CHANGED = {
+    test_model: {
+        name: TEST_BUCKET_NAME,
+        schema: {
+            index: {
+                foo: { type: 'string' },
+                bar: { type: 'string' }
+            }
+        }
+    }
+};
+
+test('buckets plan', function (t) {
+    var morayClient;
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function cleanup(_, next) {
+            morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function planMissingBucket(_, next) {
+            planBuckets(TEST_BUCKETS_CONFIG_V0, {
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            }, function onPlan(planErr, plan) {
+                t.ifError(planErr, 'planning should not error');
+                if (plan) {
+                    t.equal(plan.buckets.test_model.action, 'create',
+                        'missing bucket should be created');
+                    t.deepEqual(plan.bucketsToReindex, [],
+                        'no bucket should need reindexing');
+                }
+
+                next(planErr);
+            });
+        },
+        function setupBucketV0(_, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_V0,
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            });
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+
+            morayBucketsInitializer.start();
+        },
+        function planUpdate(_, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_V1,
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            });
+
+            morayBucketsInitializer.plan(function onPlan(planErr, plan) {
+                var bucketPlan;
+
+                t.ifError(planErr, 'planning should not error');
+                if (plan) {
+                    bucketPlan = plan.buckets.test_model;
+                    t.equal(bucketPlan.action, 'update',
+                        'bucket should be updated');
+                    t.equal(bucketPlan.oldVersion, 0, 'old version is 0');
+                    t.equal(bucketPlan.newVersion, 1, 'new version is 1');
+                    t.deepEqual(bucketPlan.diff.indexesAdded, ['bar'],
+                        'index bar should be added');
+                    t.deepEqual(plan.bucketsToReindex, ['test_model'],
+                        'bucket should need reindexing');
+                }
+
+                next(planErr);
+            });
+        },
+        function planChangeWithoutVersionBump(_, next) {
+            planBuckets(TEST_BUCKETS_CONFIG_V0_CHANGED, {
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            }, function onPlan(planErr, plan) {
+                var bucketPlan;
+
+                t.ifError(planErr, 'planning should not error');
+                if (plan) {
+                    bucketPlan = plan.buckets.test_model;
+                    t.equal(bucketPlan.action, 'fail',
+                        'bucket setup should fail');
+                    t.equal(bucketPlan.error.name,
+                        'SchemaChangesSameVersionError',
+                        'error should be SchemaChangesSameVersionError');
+                    t.deepEqual(bucketPlan.error.diff.indexesAdded, ['bar'],
+                        'error should have the diff of the schemas');
+                    t.deepEqual(bucketPlan.error.oldSchema.index, {
+                        foo: { type: 'string' }
+                    }, 'error should have the normalized old schema');
+                    t.ok(/indexes added: bar/.test(bucketPlan.error.message),
+                        'error message should describe the schema changes');
+                }
+
+                next(planErr);
+            });
+        },
+        function checkBucketNotChanged(_, next) {
+            morayClient.getBucket(TEST_BUCKET_NAME,
+                function onGetBucket(getBucketErr, bucket) {
+                    t.ifError(getBucketErr, 'getting bucket should not error');
+                    if (bucket) {
+                        t.equal(bucket.index.bar, undefined,
+                            'planning should not have updated the bucket');
+                    }
+
+                    next(getBucketErr);
+                });
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
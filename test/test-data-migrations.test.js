@@ -10,6 +10,8 @@
 
 var assert = require('assert-plus');
 var bunyan = require('bunyan');
+var fs = require('fs');
+var os = require('os');
 var path = require('path');
 var test = require('tape');
 var util = require('util');
@@ -20,6 +22,7 @@ var MorayBucketsInitializer = require('../index').MorayBucketsInitializer;
 
 var testMoray = require('./lib/moray');
 
+var LEDGER_BUCKET_NAME = 'merci_buckets_meta';
 var TEST_BUCKET_NAME = 'moray_buckets_test_data_migrations';
 var TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS = {};
 var TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS = {};
@@ -138,6 +141,52 @@ test('data migrations with invalid filenames', function (t) {
     });
 });
 
+test('data migrations with invalid migrations', function (t) {
+    var morayBucketsInitializer;
+    var morayClient = testMoray.creatTestMorayClient({
+        log: TEST_LOGGER
+    });
+
+    morayBucketsInitializer = new MorayBucketsInitializer({
+        bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+        dataMigrationsPath: path.resolve(__dirname, 'fixtures',
+            'test-data-migrations', 'data-migrations-invalid'),
+        log: TEST_LOGGER,
+        morayClient: morayClient
+    });
+
+    morayBucketsInitializer.start();
+
+    morayBucketsInitializer.once('error', function onInitError(initErr) {
+        var errNames = [];
+        var latestErrors =
+            morayBucketsInitializer.status().dataMigrations.latestErrors;
+
+        verror.errorForEach(initErr, function addErrName(err) {
+            errNames.push(err.name);
+        });
+
+        t.deepEqual(errNames, [
+            'MissingMigrateRecordError',
+            'InvalidDataMigrationVersionError'
+        ], 'all invalid migrations should be reported');
+        t.ok(latestErrors && latestErrors[TEST_MODEL_NAME],
+            'errors should be reported in the data migrations status');
+
+        morayClient.close();
+
+        t.end();
+    });
+
+    morayBucketsInitializer.once('done', function onInitDone() {
+        t.ok(false, 'buckets init should not be successful');
+
+        morayClient.close();
+
+        t.end();
+    });
+});
+
 test('data migrations with transient error', function (t) {
     var context = {};
     var morayBucketsInitializer;
@@ -397,6 +446,29 @@ test('data migrations with transient error', function (t) {
                 'latest completed data migration for vms model should be ' +
                     'at version ' + latestExpectedCompletedVmsMigration);
 
+            next();
+        },
+        function checkBucketDataMigrationsStatus(_, next) {
+            var bucketStatus =
+                morayBucketsInitializer.status().buckets[TEST_MODEL_NAME];
+            var migrationsStatus = bucketStatus.dataMigrations;
+
+            t.equal(bucketStatus.bucketName, TEST_BUCKET_NAME,
+                'bucket status should have bucket name ' + TEST_BUCKET_NAME);
+            t.equal(migrationsStatus.state, 'DONE',
+                'bucket data migrations state should be DONE');
+            t.equal(migrationsStatus.currentVersion, 1,
+                'bucket current data version should be 1');
+            t.equal(migrationsStatus.targetVersion, 1,
+                'bucket target data version should be 1');
+            t.equal(migrationsStatus.migrated[1], NUM_TEST_OBJECTS,
+                NUM_TEST_OBJECTS + ' records should have been migrated to ' +
+                    'version 1');
+            t.ok(migrationsStatus.attempts >= 1,
+                'bucket data migrations should have been attempted');
+            t.ok(migrationsStatus.startedAt && migrationsStatus.endedAt,
+                'bucket data migrations should have start and end times');
+
             next();
         }
     ]}, function allMigrationsDone(allMigrationsErr) {
@@ -507,3 +579,1357 @@ test('data migrations with non-transient error', function (t) {
         t.end();
     });
 });
+
+test('data migrations with only some phases selected', function (t) {
+    var context = {};
+    var NUM_PHASES_TEST_OBJECTS = 10;
+
+    function runInitializer(ctx, phases, callback) {
+        var morayBucketsInitializer = new MorayBucketsInitializer({
+            bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+            dataMigrationsPath: path.join(__dirname, 'fixtures',
+                'test-data-migrations', 'data-migrations-valid'),
+            log: TEST_LOGGER,
+            morayClient: ctx.morayClient,
+            phases: phases
+        });
+
+        morayBucketsInitializer.once('done', function onDone() {
+            morayBucketsInitializer.removeAllListeners('error');
+            callback(null, morayBucketsInitializer.status());
+        });
+
+        morayBucketsInitializer.once('error', function onError(initErr) {
+            morayBucketsInitializer.removeAllListeners('done');
+            callback(initErr, morayBucketsInitializer.status());
+        });
+
+        morayBucketsInitializer.start();
+    }
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBucketsV0(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            testMoray.writeObjects(ctx.morayClient, TEST_BUCKET_NAME, {
+                foo: 'foo'
+            }, NUM_PHASES_TEST_OBJECTS, next);
+        },
+        function migrateWithoutSetupAndReindex(ctx, next) {
+            runInitializer(ctx, ['dataMigrations'],
+                function onInit(initErr, status) {
+                    t.ok(initErr, 'data migrations should fail when bucket ' +
+                        'is not setup and reindexed');
+                    t.ok(initErr && verror.hasCauseWithName(initErr,
+                        'BucketNotReindexedError'),
+                        'error should have a cause of ' +
+                            'BucketNotReindexedError');
+                    t.equal(status.bucketsSetup.state, 'SKIPPED',
+                        'buckets setup state should be SKIPPED');
+                    t.equal(status.bucketsReindex.state, 'SKIPPED',
+                        'buckets reindex state should be SKIPPED');
+                    next();
+                });
+        },
+        function reindexAndMigrateWithoutSetup(ctx, next) {
+            runInitializer(ctx, ['bucketsReindex', 'dataMigrations'],
+                function onInit(initErr, status) {
+                    t.ok(initErr && verror.hasCauseWithName(initErr,
+                        'BucketNotReindexedError'),
+                        'data migrations should fail with a ' +
+                            'BucketNotReindexedError when bucket is not ' +
+                            'setup');
+                    t.equal(status.bucketsSetup.state, 'SKIPPED',
+                        'buckets setup state should be SKIPPED');
+                    t.equal(status.bucketsReindex.state, 'DONE',
+                        'buckets reindex state should be DONE');
+                    next();
+                });
+        },
+        function setupOnly(ctx, next) {
+            runInitializer(ctx, ['bucketsSetup'],
+                function onInit(initErr, status) {
+                    t.ifError(initErr, 'buckets setup should not error');
+                    t.equal(status.bucketsSetup.state, 'DONE',
+                        'buckets setup state should be DONE');
+                    t.equal(status.bucketsReindex.state, 'SKIPPED',
+                        'buckets reindex state should be SKIPPED');
+                    t.equal(status.dataMigrations.state, 'SKIPPED',
+                        'data migrations state should be SKIPPED');
+                    next(initErr);
+                });
+        },
+        function reindexAndMigrate(ctx, next) {
+            runInitializer(ctx, ['bucketsReindex', 'dataMigrations'],
+                function onInit(initErr, status) {
+                    t.ifError(initErr, 'reindex and data migrations should ' +
+                        'not error');
+                    t.equal(status.bucketsSetup.state, 'SKIPPED',
+                        'buckets setup state should be SKIPPED');
+                    t.equal(status.dataMigrations.state, 'DONE',
+                        'data migrations state should be DONE');
+                    next(initErr);
+                });
+        },
+        function checkAllObjectsMigrated(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME,
+                '(!(data_version=1))', function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length, 0,
+                        'all objects should have been migrated');
+                    next(findErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'selected phases test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations with custom data version field', function (t) {
+    var context = {};
+    var NUM_CUSTOM_FIELD_TEST_OBJECTS = 10;
+    var testBucketsConfigWithCustomField = {};
+
+    testBucketsConfigWithCustomField[TEST_MODEL_NAME] = {
+        name: TEST_BUCKET_NAME,
+        dataVersionField: 'v',
+        schema: {
+            index: {
+                foo: { type: 'string' },
+                bar: { type: 'string' },
+                v: { type: 'number' }
+            },
+            options: {
+                version: 1
+            }
+        }
+    };
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBuckets(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            testMoray.writeObjects(ctx.morayClient, TEST_BUCKET_NAME, {
+                foo: 'foo'
+            }, NUM_CUSTOM_FIELD_TEST_OBJECTS, next);
+        },
+        function migrateData(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfigWithCustomField,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-valid'),
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                morayBucketsInitializer.removeAllListeners('done');
+                t.ifError(initErr, 'data migrations should not error');
+                next(initErr);
+            });
+
+            morayBucketsInitializer.start();
+        },
+        function checkAllObjectsMigrated(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME, '(v=1)',
+                function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length,
+                        NUM_CUSTOM_FIELD_TEST_OBJECTS,
+                        'all objects should be at version 1 in field "v"');
+                    next(findErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'custom data version field test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations with asynchronous migrateRecord', function (t) {
+    var context = {};
+    var NUM_ASYNC_TEST_OBJECTS = 100;
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBuckets(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            testMoray.writeObjects(ctx.morayClient, TEST_BUCKET_NAME, {
+                foo: 'foo'
+            }, NUM_ASYNC_TEST_OBJECTS, next);
+        },
+        function migrateData(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-async'),
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                morayBucketsInitializer.removeAllListeners('done');
+                t.ifError(initErr, 'data migrations should not error');
+                next(initErr);
+            });
+
+            morayBucketsInitializer.start();
+        },
+        function checkAllObjectsMigrated(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME,
+                '(&(data_version=1)(bar=foo))',
+                function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length,
+                        NUM_ASYNC_TEST_OBJECTS,
+                        'all objects should have been migrated to version 1');
+                    next(findErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'asynchronous migrateRecord test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations with custom chunk size', function (t) {
+    var chunkSizes = [];
+    var context = {};
+    var MIGRATION_CHUNK_SIZE = 10;
+    var NUM_CHUNKED_TEST_OBJECTS = 35;
+    var testBucketsConfig = {};
+
+    testBucketsConfig[TEST_MODEL_NAME] = {
+        migrationChunkSize: MIGRATION_CHUNK_SIZE,
+        name: TEST_BUCKET_NAME,
+        schema: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS[TEST_MODEL_NAME].schema
+    };
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBuckets(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            testMoray.writeObjects(ctx.morayClient, TEST_BUCKET_NAME, {
+                foo: 'foo'
+            }, NUM_CHUNKED_TEST_OBJECTS, next);
+        },
+        function migrateData(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfig,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-valid'),
+                log: TEST_LOGGER,
+                maxConcurrentModels: 1,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.on('migration-chunk',
+                function onChunk(chunk) {
+                    chunkSizes.push(chunk.count);
+                });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                morayBucketsInitializer.removeAllListeners('done');
+                t.ifError(initErr, 'data migrations should not error');
+                next(initErr);
+            });
+
+            morayBucketsInitializer.start();
+        },
+        function checkChunks(ctx, next) {
+            t.deepEqual(chunkSizes, [10, 10, 10, 5],
+                'records should be migrated in chunks of at most ' +
+                    MIGRATION_CHUNK_SIZE + ' records');
+
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME,
+                '(&(data_version=1)(bar=foo))',
+                function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length,
+                        NUM_CHUNKED_TEST_OBJECTS,
+                        'all objects should have been migrated to version 1');
+                    next(findErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'custom chunk size test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations with rate limit', function (t) {
+    var context = {};
+    var NUM_THROTTLED_TEST_OBJECTS = 30;
+    var RATE_LIMIT = 10;
+    var testBucketsConfig = {};
+
+    testBucketsConfig[TEST_MODEL_NAME] = {
+        migrationChunkSize: RATE_LIMIT,
+        name: TEST_BUCKET_NAME,
+        schema: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS[TEST_MODEL_NAME].schema
+    };
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBuckets(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            testMoray.writeObjects(ctx.morayClient, TEST_BUCKET_NAME, {
+                foo: 'foo'
+            }, NUM_THROTTLED_TEST_OBJECTS, next);
+        },
+        function migrateData(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfig,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-valid'),
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient,
+                rateLimit: {perBucket: RATE_LIMIT}
+            });
+            var startTime = Date.now();
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                /*
+                 * The first chunk uses the initial one second worth of
+                 * records, and each subsequent chunk has to wait for one more
+                 * second.
+                 */
+                t.ok(Date.now() - startTime >= 2000,
+                    'migrating ' + NUM_THROTTLED_TEST_OBJECTS + ' records at ' +
+                        RATE_LIMIT + ' records per second should take at ' +
+                        'least 2 seconds');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                morayBucketsInitializer.removeAllListeners('done');
+                t.ifError(initErr, 'data migrations should not error');
+                next(initErr);
+            });
+
+            morayBucketsInitializer.start();
+        },
+        function checkAllObjectsMigrated(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME,
+                '(&(data_version=1)(bar=foo))',
+                function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length,
+                        NUM_THROTTLED_TEST_OBJECTS,
+                        'all objects should have been migrated to version 1');
+                    next(findErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'rate limit test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations with keyFn re-keying records', function (t) {
+    var context = {};
+    var NUM_REKEY_TEST_OBJECTS = 10;
+    var testBucketsConfigWithKeyFn = {};
+
+    testBucketsConfigWithKeyFn[TEST_MODEL_NAME] = {
+        name: TEST_BUCKET_NAME,
+        keyFn: function keyFn(record) {
+            return 'id-' + record.value.id;
+        },
+        schema: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS[TEST_MODEL_NAME].schema
+    };
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBuckets(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            var ids = [];
+            var idx;
+
+            for (idx = 0; idx < NUM_REKEY_TEST_OBJECTS; ++idx) {
+                ids.push(idx);
+            }
+
+            vasync.forEachParallel({
+                func: function writeObject(id, done) {
+                    ctx.morayClient.putObject(TEST_BUCKET_NAME, 'key-' + id, {
+                        foo: 'foo',
+                        id: id
+                    }, {noBucketCache: true}, done);
+                },
+                inputs: ids
+            }, next);
+        },
+        function migrateData(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfigWithKeyFn,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-valid'),
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                morayBucketsInitializer.removeAllListeners('done');
+                t.ifError(initErr, 'data migrations should not error');
+                next(initErr);
+            });
+
+            morayBucketsInitializer.start();
+        },
+        function checkAllObjectsRekeyed(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME, '(foo=*)',
+                function onFind(findErr, records) {
+                    var rekeyedRecords;
+
+                    t.ifError(findErr, 'finding objects should not error');
+
+                    if (records) {
+                        rekeyedRecords = records.filter(function isRekeyed(r) {
+                            return r.key === 'id-' + r.value.id &&
+                                r.value.data_version === 1;
+                        });
+
+                        t.equal(records.length, NUM_REKEY_TEST_OBJECTS,
+                            'original keys should have been deleted');
+                        t.equal(rekeyedRecords.length, NUM_REKEY_TEST_OBJECTS,
+                            'all objects should have been re-keyed and ' +
+                                'migrated to version 1');
+                    }
+
+                    next(findErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'keyFn test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations with keyFn returning invalid keys', function (t) {
+    var context = {};
+    var NUM_INVALID_KEY_TEST_OBJECTS = 10;
+
+    function makeBucketsConfig(keyFn) {
+        var bucketsConfig = {};
+
+        bucketsConfig[TEST_MODEL_NAME] = {
+            name: TEST_BUCKET_NAME,
+            keyFn: keyFn,
+            schema:
+                TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS[TEST_MODEL_NAME].schema
+        };
+
+        return bucketsConfig;
+    }
+
+    function migrateDataWithKeyFn(ctx, keyFn, callback) {
+        var morayBucketsInitializer = new MorayBucketsInitializer({
+            bucketsConfig: makeBucketsConfig(keyFn),
+            dataMigrationsPath: path.join(__dirname, 'fixtures',
+                'test-data-migrations', 'data-migrations-valid'),
+            log: TEST_LOGGER,
+            morayClient: ctx.morayClient
+        });
+
+        morayBucketsInitializer.once('done', function onDone() {
+            morayBucketsInitializer.removeAllListeners('error');
+            callback();
+        });
+
+        morayBucketsInitializer.once('error', function onError(initErr) {
+            morayBucketsInitializer.removeAllListeners('done');
+            callback(initErr);
+        });
+
+        morayBucketsInitializer.start();
+    }
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBuckets(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            testMoray.writeObjects(ctx.morayClient, TEST_BUCKET_NAME, {
+                foo: 'foo'
+            }, NUM_INVALID_KEY_TEST_OBJECTS, next);
+        },
+        function migrateDataWithNonStringKey(ctx, next) {
+            migrateDataWithKeyFn(ctx, function keyFn() {
+                return 42;
+            }, function onMigrated(migrateErr) {
+                t.ok(verror.hasCauseWithName(migrateErr,
+                    'InvalidRecordKeyError'), 'data migrations should error ' +
+                    'with InvalidRecordKeyError when keyFn returns a number');
+                next();
+            });
+        },
+        function migrateDataWithThrowingKeyFn(ctx, next) {
+            migrateDataWithKeyFn(ctx, function keyFn() {
+                throw new Error('Mocked keyFn error');
+            }, function onMigrated(migrateErr) {
+                t.ok(verror.hasCauseWithName(migrateErr,
+                    'InvalidRecordKeyError'), 'data migrations should error ' +
+                    'with InvalidRecordKeyError when keyFn throws');
+                next();
+            });
+        },
+        function checkNoObjectMigrated(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME,
+                '(data_version=1)', function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length, 0,
+                        'no object should have been migrated');
+                    next(findErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'invalid keyFn test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations returning null or batch operations', function (t) {
+    var context = {};
+    var NUM_BATCH_OPS_TEST_OBJECTS = 100;
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBuckets(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            vasync.forEachParallel({
+                func: function writeTestObjectsWithFoo(foo, done) {
+                    testMoray.writeObjects(ctx.morayClient, TEST_BUCKET_NAME, {
+                        foo: foo
+                    }, NUM_BATCH_OPS_TEST_OBJECTS, done);
+                },
+                inputs: ['foo', 'delete']
+            }, next);
+        },
+        function migrateData(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-batch-ops'),
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                morayBucketsInitializer.removeAllListeners('done');
+                t.ifError(initErr, 'data migrations should not error');
+                next(initErr);
+            });
+
+            morayBucketsInitializer.start();
+        },
+        function checkAllObjectsMigrated(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME,
+                '(&(data_version=1)(bar=foo))',
+                function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length,
+                        NUM_BATCH_OPS_TEST_OBJECTS,
+                        'all objects should have been migrated to version 1');
+                    next(findErr);
+                });
+        },
+        function checkObjectsDeleted(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME, '(foo=delete)',
+                function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length, 0,
+                        'all objects migrated to null should be deleted');
+                    next(findErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'batch operations test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations returning an invalid result', function (t) {
+    var context = {};
+    var NUM_INVALID_RESULT_TEST_OBJECTS = 10;
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBuckets(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            testMoray.writeObjects(ctx.morayClient, TEST_BUCKET_NAME, {
+                foo: 'foo'
+            }, NUM_INVALID_RESULT_TEST_OBJECTS, next);
+        },
+        function migrateData(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-invalid-result'),
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                t.ok(false, 'data migrations should not complete');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                var status = morayBucketsInitializer.status();
+
+                morayBucketsInitializer.removeAllListeners('done');
+                t.ok(verror.hasCauseWithName(initErr,
+                    'InvalidDataMigrationError'), 'data migrations should ' +
+                    'error with InvalidDataMigrationError, got: ' +
+                    (initErr && initErr.message));
+                t.equal(status.dataMigrations.state, 'ERROR',
+                    'data migrations state should be ERROR');
+                next();
+            });
+
+            morayBucketsInitializer.start();
+        },
+        function checkNoObjectMigrated(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME,
+                '(data_version=1)', function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length, 0,
+                        'no object should have been migrated');
+                    next(findErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'invalid result test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations with empty model directory', function (t) {
+    var context = {};
+
+    vasync.pipeline({arg: context, funcs: [
+        function createEmptyMigrationsDir(ctx, next) {
+            /*
+             * git does not track empty directories, so the empty model
+             * directory can't be a fixture and is created here instead.
+             */
+            fs.mkdtemp(path.join(os.tmpdir(), 'data-migrations-empty-'),
+                function onDirCreated(mkdtempErr, dirPath) {
+                    if (mkdtempErr) {
+                        next(mkdtempErr);
+                        return;
+                    }
+
+                    ctx.dataMigrationsPath = dirPath;
+                    fs.mkdir(path.join(dirPath, TEST_MODEL_NAME), next);
+                });
+        },
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function migrateData(ctx, next) {
+            var modelMigratedEvents = [];
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+                dataMigrationsPath: ctx.dataMigrationsPath,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.on('model-migrated',
+                function onModelMigrated(event) {
+                    modelMigratedEvents.push(event);
+                });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                t.equal(morayBucketsInitializer.status().dataMigrations.state,
+                    'DONE', 'data migrations state should be DONE');
+                t.deepEqual(modelMigratedEvents, [ {
+                    model: TEST_MODEL_NAME,
+                    bucketName: TEST_BUCKET_NAME,
+                    version: null
+                } ], 'model-migrated event should have a null version');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                morayBucketsInitializer.removeAllListeners('done');
+                t.ifError(initErr, 'data migrations should not error');
+                next(initErr);
+            });
+
+            morayBucketsInitializer.start();
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'empty model directory test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        if (context.dataMigrationsPath) {
+            fs.rmdirSync(path.join(context.dataMigrationsPath,
+                TEST_MODEL_NAME));
+            fs.rmdirSync(context.dataMigrationsPath);
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations rollback', function (t) {
+    var context = {};
+    var NUM_ROLLBACK_TEST_OBJECTS = 10;
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBuckets(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            testMoray.writeObjects(ctx.morayClient, TEST_BUCKET_NAME, {
+                foo: 'foo'
+            }, NUM_ROLLBACK_TEST_OBJECTS, next);
+        },
+        function migrateData(ctx, next) {
+            ctx.morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-reversible'),
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            ctx.morayBucketsInitializer.startAsync().then(function onDone() {
+                next();
+            }, function onError(initErr) {
+                t.ifError(initErr, 'data migrations should not error');
+                next(initErr);
+            });
+        },
+        function checkAllObjectsMigrated(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME,
+                '(&(data_version=1)(bar=foo))',
+                function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length,
+                        NUM_ROLLBACK_TEST_OBJECTS,
+                        'all objects should have been migrated to version 1');
+                    next(findErr);
+                });
+        },
+        function rollbackDataStopped(ctx, next) {
+            var concurrentRollbackErr;
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-reversible'),
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+            var rollbackErr;
+
+            morayBucketsInitializer.rollbackDataMigrations(TEST_MODEL_NAME, 0,
+                function onRolledBack(err) {
+                    rollbackErr = err;
+                });
+
+            t.throws(function startDuringRollback() {
+                morayBucketsInitializer.start();
+            }, /busy/, 'start should throw while rolling back');
+
+            morayBucketsInitializer.rollbackDataMigrations(TEST_MODEL_NAME, 0,
+                function onRolledBack(err) {
+                    concurrentRollbackErr = err;
+                });
+
+            morayBucketsInitializer.stop(function onStopped() {
+                t.ok(concurrentRollbackErr && verror.hasCauseWithName(
+                    concurrentRollbackErr, 'BucketsInitBusyError'),
+                    'concurrent rollback should fail with ' +
+                        'BucketsInitBusyError');
+                t.ok(rollbackErr && verror.hasCauseWithName(rollbackErr,
+                    'BucketsInitAbortedError'),
+                    'stopped rollback should fail with ' +
+                        'BucketsInitAbortedError');
+                next();
+            });
+        },
+        function rollbackData(ctx, next) {
+            ctx.morayBucketsInitializer.rollbackDataMigrations(TEST_MODEL_NAME,
+                0, function onRolledBack(rollbackErr) {
+                    t.ifError(rollbackErr, 'rollback should not error');
+                    next(rollbackErr);
+                });
+        },
+        function checkAllObjectsRolledBack(ctx, next) {
+            findAllObjects(ctx.morayClient, TEST_BUCKET_NAME,
+                '(|(data_version=*)(bar=*))',
+                function onFind(findErr, records) {
+                    t.ifError(findErr, 'finding objects should not error');
+                    t.equal(records && records.length, 0,
+                        'all objects should have been rolled back to no ' +
+                            'data version');
+                    next(findErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'rollback test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('data migrations with migrations ledger', function (t) {
+    var context = {};
+    var NUM_LEDGER_TEST_OBJECTS = 10;
+
+    vasync.pipeline({arg: context, funcs: [
+        function connectToMoray(ctx, next) {
+            ctx.morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            ctx.morayClient.once('connect', next);
+            ctx.morayClient.once('error', next);
+        },
+        function cleanup(ctx, next) {
+            ctx.morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function cleanupLedger(ctx, next) {
+            ctx.morayClient.delBucket(LEDGER_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupMorayBuckets(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_NO_DATA_MIGRATIONS,
+                log: TEST_LOGGER,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.start();
+
+            morayBucketsInitializer.once('done', next);
+            morayBucketsInitializer.once('error', next);
+        },
+        function writeTestObjects(ctx, next) {
+            testMoray.writeObjects(ctx.morayClient, TEST_BUCKET_NAME, {
+                foo: 'foo'
+            }, NUM_LEDGER_TEST_OBJECTS, next);
+        },
+        function migrateData(ctx, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+                codeVersion: '1.0.0',
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-valid'),
+                log: TEST_LOGGER,
+                migrationsLedger: true,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.startAsync().then(function onDone() {
+                next();
+            }, function onError(initErr) {
+                t.ifError(initErr, 'data migrations should not error');
+                next(initErr);
+            });
+        },
+        function checkLedgerEntry(ctx, next) {
+            ctx.morayClient.getObject(LEDGER_BUCKET_NAME,
+                'migration:' + TEST_MODEL_NAME + ':1',
+                function onGetObject(getErr, obj) {
+                    t.ifError(getErr, 'getting ledger entry should not error');
+
+                    if (obj) {
+                        t.equal(obj.value.state, 'DONE',
+                            'migration should be recorded as done');
+                        t.equal(obj.value.records_migrated,
+                            NUM_LEDGER_TEST_OBJECTS,
+                            'ledger should record the number of migrated ' +
+                                'records');
+                        t.equal(obj.value.code_version, '1.0.0',
+                            'ledger should record the code version');
+                        t.equal(typeof (obj.value.checksum), 'string',
+                            'ledger should record the migration checksum');
+                    }
+
+                    next(getErr);
+                });
+        },
+        function planWithChangedMigration(ctx, next) {
+            var findObjectsCalls = 0;
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-async'),
+                log: TEST_LOGGER,
+                migrationsLedger: true,
+                morayClient: ctx.morayClient
+            });
+            var originalFindObjects = ctx.morayClient.findObjects;
+
+            /*
+             * Planning only reads buckets' metadata, so it doesn't read the
+             * ledger and doesn't detect the changed migration.
+             */
+            ctx.morayClient.findObjects = function countedFindObjects() {
+                ++findObjectsCalls;
+                return originalFindObjects.apply(ctx.morayClient, arguments);
+            };
+
+            morayBucketsInitializer.plan(function onPlan(planErr) {
+                ctx.morayClient.findObjects = originalFindObjects;
+
+                t.ifError(planErr, 'plan should not error');
+                t.equal(findObjectsCalls, 0,
+                    'plan should not find objects');
+                next();
+            });
+        },
+        function migrateDataWithChangedMigration(ctx, next) {
+            /*
+             * The migration in the "data-migrations-async" fixtures directory
+             * has the same data version as the one that was just applied, but
+             * its file content is different.
+             */
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: TEST_BUCKETS_CONFIG_WITH_DATA_MIGRATIONS,
+                dataMigrationsPath: path.join(__dirname, 'fixtures',
+                    'test-data-migrations', 'data-migrations-async'),
+                log: TEST_LOGGER,
+                migrationsLedger: true,
+                morayClient: ctx.morayClient
+            });
+
+            morayBucketsInitializer.startAsync().then(function onDone() {
+                t.fail('data migrations should fail');
+                next();
+            }, function onError(initErr) {
+                t.ok(verror.hasCauseWithName(initErr,
+                    'MigrationChecksumMismatchError'),
+                    'data migrations should fail with a ' +
+                        'MigrationChecksumMismatchError');
+                next();
+            });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'migrations ledger test should not error');
+
+        if (context.morayClient) {
+            context.morayClient.close();
+        }
+
+        t.end();
+    });
+});
@@ -66,6 +66,7 @@ function testMigrationToBucketsConfig(bucketsConfig, options, t, callback) {
     assert.object(t, 't');
     assert.func(callback, 'callback');
 
+    var bucketEvents = [];
     var morayBucketsInitializer;
     var morayClient;
 
@@ -85,6 +86,14 @@ function testMigrationToBucketsConfig(bucketsConfig, options, t, callback) {
                 morayClient: morayClient
             });
 
+            ['bucket-created', 'bucket-updated', 'bucket-unchanged',
+                'bucket-reindexed'].forEach(function listen(eventName) {
+                morayBucketsInitializer.on(eventName,
+                    function onBucketEvent(payload) {
+                        bucketEvents.push({name: eventName, payload: payload});
+                    });
+            });
+
             morayBucketsInitializer.start();
 
             morayBucketsInitializer.on('done',
@@ -222,8 +231,45 @@ function testMigrationToBucketsConfig(bucketsConfig, options, t, callback) {
                 inputs: expectedResults
             }, next);
         },
+        function checkBucketEvents(_, next) {
+            options.expectedResults.forEach(function checkEvents(expected) {
+                var reindexedEvents;
+                var setupEvents;
+
+                if (expected.setupEvent === undefined) {
+                    return;
+                }
+
+                setupEvents = bucketEvents.filter(function isSetup(event) {
+                    return event.name !== 'bucket-reindexed' &&
+                        event.payload.bucketName === expected.bucketName;
+                });
+                reindexedEvents = bucketEvents.filter(function isReindex(ev) {
+                    return ev.name === 'bucket-reindexed' &&
+                        ev.payload.bucketName === expected.bucketName;
+                });
+
+                t.equal(setupEvents.length, 1,
+                    'one setup event should be emitted for bucket ' +
+                        expected.bucketName);
+                if (setupEvents.length === 1) {
+                    t.equal(setupEvents[0].name, expected.setupEvent,
+                        'setup event should be ' + expected.setupEvent);
+                    t.equal(setupEvents[0].payload.newVersion,
+                        expected.version, 'event newVersion should be ' +
+                            expected.version);
+                }
+
+                t.equal(reindexedEvents.length, 1,
+                    'one bucket-reindexed event should be emitted for ' +
+                        'bucket ' + expected.bucketName);
+            });
+
+            next();
+        },
         function checkMorayBucketsInitStatus(_, next) {
             var bucketsInitStatus = morayBucketsInitializer.status();
+            var bucketsStatus = bucketsInitStatus.buckets;
             var expectedBucketsInitStatus = {
                 bucketsSetup: {state: 'DONE'},
                 bucketsReindex: {state: 'DONE'},
@@ -235,8 +281,45 @@ function testMigrationToBucketsConfig(bucketsConfig, options, t, callback) {
                 dataMigrations: {state: 'NOT_STARTED'}
             };
 
+            delete bucketsInitStatus.buckets;
             t.deepEqual(bucketsInitStatus, expectedBucketsInitStatus);
 
+            options.expectedResults.forEach(function checkStatus(expected) {
+                var bucketStatus;
+
+                Object.keys(bucketsStatus).forEach(function findBucket(model) {
+                    if (bucketsStatus[model].bucketName ===
+                        expected.bucketName) {
+                        bucketStatus = bucketsStatus[model];
+                    }
+                });
+
+                t.ok(bucketStatus, 'status should include bucket ' +
+                    expected.bucketName);
+
+                if (!bucketStatus) {
+                    return;
+                }
+
+                t.equal(bucketStatus.setup.state, 'DONE',
+                    'setup state of bucket ' + expected.bucketName +
+                        ' should be DONE');
+                if (expected.setupEvent === 'bucket-updated') {
+                    t.equal(bucketStatus.setup.action, 'update',
+                        'setup action of bucket ' + expected.bucketName +
+                            ' should be update');
+                    t.equal(bucketStatus.setup.newVersion, expected.version,
+                        'setup newVersion of bucket ' + expected.bucketName +
+                            ' should be ' + expected.version);
+                }
+                t.equal(bucketStatus.reindex.state, 'DONE',
+                    'reindex state of bucket ' + expected.bucketName +
+                        ' should be DONE');
+                t.equal(bucketStatus.dataMigrations, undefined,
+                    'bucket ' + expected.bucketName + ' should not have ' +
+                        'a data migrations status');
+            });
+
             next();
         }
     ]}, function allMigrationTestsDone(migrationTestsErr) {
@@ -390,6 +473,7 @@ test('Moray buckets schema migrations', function (t) {
                 expectedResults: [
                     {
                         bucketName: TEST_BUCKET_NAME,
+                        setupEvent: 'bucket-updated',
                         version: 1
                     }
                 ]
@@ -419,6 +503,7 @@ test('Moray buckets schema migrations', function (t) {
                 expectedResults: [
                     {
                         bucketName: TEST_BUCKET_NAME,
+                        setupEvent: 'bucket-updated',
                         version: 2
                     }
                 ]
@@ -572,3 +657,141 @@ test('Backward incompatible Moray buckets schema migration', function (t) {
         t.end();
     });
 });
+
+test('Backward incompatible Moray buckets index changes', function (t) {
+    var morayClient;
+
+    var TEST_BUCKET_NAME = 'moray_buckets_test_schema_migrations_index_changes';
+
+    var TEST_BUCKET_CONFIG_V0 = {
+        name: TEST_BUCKET_NAME,
+        schema: {
+            index: {
+                foo: { type: 'string' },
+                bar: { type: 'string' }
+            }
+        }
+    };
+
+    /*
+     * The type of "foo" changes and "bar" becomes unique: both changes are
+     * backward incompatible.
+     */
+    var TEST_BUCKET_CONFIG_V1 = {
+        name: TEST_BUCKET_NAME,
+        schema: {
+            index: {
+                foo: { type: 'number' },
+                bar: { type: 'string', unique: true }
+            },
+            options: {
+                version: 1
+            }
+        }
+    };
+
+    /*
+     * Only "bar" becomes unique, which is explicitly allowed.
+     */
+    var TEST_BUCKET_CONFIG_V1_ALLOWED = {
+        name: TEST_BUCKET_NAME,
+        allowedIndexChanges: {
+            bar: ['unique']
+        },
+        schema: {
+            index: {
+                foo: { type: 'string' },
+                bar: { type: 'string', unique: true }
+            },
+            options: {
+                version: 1
+            }
+        }
+    };
+
+    function initBuckets(bucketConfig, callback) {
+        var morayBucketsInitializer = new MorayBucketsInitializer({
+            bucketsConfig: {
+                test_model: bucketConfig
+            },
+            log: TEST_LOGGER,
+            morayClient: morayClient
+        });
+
+        morayBucketsInitializer.once('done', function onDone() {
+            morayBucketsInitializer.removeAllListeners('error');
+            callback();
+        });
+
+        morayBucketsInitializer.once('error', function onError(initErr) {
+            morayBucketsInitializer.removeAllListeners('done');
+            callback(initErr);
+        });
+
+        morayBucketsInitializer.start();
+    }
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function cleanup(_, next) {
+            morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupOriginalMorayBuckets(_, next) {
+            initBuckets(TEST_BUCKET_CONFIG_V0, function onInit(initErr) {
+                t.ifError(initErr, 'original moray buckets setup should be ' +
+                    'successful');
+                next(initErr);
+            });
+        },
+        function performInvalidIndexChanges(_, next) {
+            initBuckets(TEST_BUCKET_CONFIG_V1, function onInit(initErr) {
+                var errNames = [];
+
+                if (initErr) {
+                    verror.errorForEach(verror.findCauseByName(initErr,
+                        'MultiError') || initErr, function addName(err) {
+                        errNames.push(err.name);
+                    });
+                }
+
+                t.deepEqual(errNames, [
+                    'InvalidIndexTypeChangeError',
+                    'InvalidIndexUniqueChangeError'
+                ], 'incompatible index changes should be reported');
+                next();
+            });
+        },
+        function performAllowedIndexChange(_, next) {
+            initBuckets(TEST_BUCKET_CONFIG_V1_ALLOWED,
+                function onInit(initErr) {
+                    t.ifError(initErr, 'allowed index change should be ' +
+                        'successful');
+                    next(initErr);
+                });
+        }
+    ]}, function allTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
@@ -14,7 +14,8 @@ var test = require('tape');
 var vasync = require('vasync');
 var verror = require('verror');
 
-var MorayBucketsInitializer = require('../index').MorayBucketsInitializer;
+var morayBuckets = require('../index');
+var MorayBucketsInitializer = morayBuckets.MorayBucketsInitializer;
 var testMoray = require('./lib/moray.js');
 
 var TEST_LOGGER = bunyan.createLogger({
@@ -192,10 +193,10 @@ test('Moray buckets setup with non-transient error', function (t) {
             index: {
                 /*
                  * The typo in "booleaan" is intentional: it is used to trigger
-                 * what we consider to be a non-transient error when setting up
-                 * moray buckets, and test that the moray buckets setup process
-                 * handles this error appropriately, in that case by emitting an
-                 * 'error' event.
+                 * what we consider to be a non-transient error when validating
+                 * the buckets configuration, and test that the moray buckets
+                 * setup process handles this error appropriately, in that case
+                 * by emitting an 'error' event.
                  */
                 docker: { type: 'booleaan' }
             }
@@ -257,7 +258,7 @@ test('Moray buckets setup with non-transient error', function (t) {
         },
         function checkMorayStatusWithNonTransientErr(_, next) {
             var bucketsSetupLatestErr;
-            var expectedErrCauseWithName = 'InvalidBucketConfigError';
+            var expectedErrCauseWithName = 'InvalidBucketsConfigError';
             var morayBucketsInitStatus = morayBucketsInitializer.status();
 
             bucketsSetupLatestErr =
@@ -282,3 +283,1403 @@ test('Moray buckets setup with non-transient error', function (t) {
         t.end();
     });
 });
+
+test('Moray buckets setup with promise API', function (t) {
+    var morayBucketsInitializer;
+    var morayClient;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_setup_promise_api';
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function initMorayBuckets(_, next) {
+            morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfig,
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            });
+
+            morayBucketsInitializer.startAsync().then(function onDone() {
+                t.ok(true, 'startAsync promise should resolve');
+                next();
+            }, function onError(initErr) {
+                t.ifError(initErr, 'startAsync promise should not reject');
+                next();
+            });
+        },
+        function checkLateSubscribers(_, next) {
+            /*
+             * All phases completed at this point, so these promises are
+             * created after the corresponding events were emitted and should
+             * still resolve.
+             */
+            Promise.all([
+                morayBucketsInitializer.whenBucketsSetup(),
+                morayBucketsInitializer.whenReindexed(),
+                morayBucketsInitializer.whenMigrated(),
+                morayBucketsInitializer.whenDone()
+            ]).then(function onAllResolved() {
+                t.ok(true, 'late when* promises should resolve');
+                next();
+            }, function onRejected(phaseErr) {
+                t.ifError(phaseErr, 'late when* promises should not reject');
+                next();
+            });
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup stopped while retrying', function (t) {
+    var morayBucketsInitializer;
+    var morayClient;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_setup_stop';
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function initMorayBucketsWithTransientError(_, next) {
+            /*
+             * Inject a transient error so that buckets setup is retried
+             * indefinitely until the initializer is stopped.
+             */
+            morayClient.getBucket =
+                function mockedGetBucket(bucketName, callback) {
+                    assert.string(bucketName, 'bucketName');
+                    assert.func(callback, 'callback');
+
+                    callback(new Error('Mocked transient error'));
+                };
+
+            morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfig,
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                t.ok(false, 'moray buckets init should not complete');
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                t.ifError(initErr, 'moray buckets init should not error');
+            });
+
+            morayBucketsInitializer.start();
+
+            setTimeout(next, 1000);
+        },
+        function stopInitializer(_, next) {
+            var gotAbortedEvent = false;
+
+            morayBucketsInitializer.once('aborted', function onAborted() {
+                gotAbortedEvent = true;
+            });
+
+            morayBucketsInitializer.stop(function onStopped() {
+                var status = morayBucketsInitializer.status();
+
+                t.ok(gotAbortedEvent, 'aborted event should be emitted');
+                t.equal(status.bucketsSetup.state, 'ABORTED',
+                    'buckets setup state should be ABORTED');
+                t.equal(status.bucketsReindex.state, 'ABORTED',
+                    'buckets reindex state should be ABORTED');
+                t.equal(status.dataMigrations.state, 'ABORTED',
+                    'data migrations state should be ABORTED');
+                next();
+            });
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup with promise API stopped while retrying',
+    function (t) {
+    var morayBucketsInitializer;
+    var morayClient;
+    var startPromiseErr;
+    var startPromiseSettled = false;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_setup_stop_async';
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function startMorayBucketsInitWithTransientError(_, next) {
+            /*
+             * Inject a transient error so that buckets setup is retried
+             * indefinitely until the initializer is stopped.
+             */
+            morayClient.getBucket =
+                function mockedGetBucket(bucketName, callback) {
+                    assert.string(bucketName, 'bucketName');
+                    assert.func(callback, 'callback');
+
+                    callback(new Error('Mocked transient error'));
+                };
+
+            morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfig,
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            });
+
+            morayBucketsInitializer.startAsync().then(function onDone() {
+                startPromiseSettled = true;
+            }, function onError(initErr) {
+                startPromiseSettled = true;
+                startPromiseErr = initErr;
+            });
+
+            setTimeout(next, 1000);
+        },
+        function stopInitializer(_, next) {
+            t.notOk(startPromiseSettled,
+                'startAsync promise should not settle before stopping');
+
+            morayBucketsInitializer.stop(function onStopped() {
+                /*
+                 * Let the promise settle before checking its outcome.
+                 */
+                setImmediate(function checkStartPromise() {
+                    t.ok(startPromiseSettled,
+                        'startAsync promise should settle when stopped');
+                    t.ok(startPromiseErr && verror.hasCauseWithName(
+                        startPromiseErr, 'BucketsInitAbortedError'),
+                        'startAsync promise should reject with ' +
+                            'BucketsInitAbortedError');
+                    next();
+                });
+            });
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets init retried after reindexing failed', function (t) {
+    var morayBucketsInitializer;
+    var morayClient;
+    var origMorayClientReindexObjects;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_init_retry';
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function initMorayBucketsWithReindexError(_, next) {
+            origMorayClientReindexObjects = morayClient.reindexObjects;
+
+            morayClient.reindexObjects =
+                function mockedReindexObjects(bucketName, count, callback) {
+                    assert.string(bucketName, 'bucketName');
+                    assert.number(count, 'count');
+                    assert.func(callback, 'callback');
+
+                    callback(new Error('Mocked reindex error'));
+                };
+
+            morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfig,
+                log: TEST_LOGGER,
+                maxBucketsReindexAttempts: 1,
+                morayClient: morayClient
+            });
+
+            t.throws(function retryBeforeStart() {
+                morayBucketsInitializer.retry();
+            }, /cannot be retried/, 'retry should throw before start');
+
+            morayBucketsInitializer.once('done', function onDone() {
+                t.ok(false, 'moray buckets init should not complete');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                var status = morayBucketsInitializer.status();
+
+                morayBucketsInitializer.removeAllListeners('done');
+
+                t.ok(initErr, 'moray buckets init should error');
+                t.equal(status.bucketsSetup.state, 'DONE',
+                    'buckets setup state should be DONE');
+                t.equal(status.bucketsReindex.state, 'ERROR',
+                    'buckets reindex state should be ERROR');
+                next();
+            });
+
+            morayBucketsInitializer.start();
+        },
+        function retryInit(_, next) {
+            var setupDoneEvents = 0;
+
+            morayClient.reindexObjects = origMorayClientReindexObjects;
+
+            morayBucketsInitializer.on('buckets-setup-done',
+                function onSetupDone() {
+                    ++setupDoneEvents;
+                });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                t.ifError(initErr, 'retried moray buckets init should not ' +
+                    'error');
+                morayBucketsInitializer.removeAllListeners('done');
+                next();
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                var status = morayBucketsInitializer.status();
+
+                morayBucketsInitializer.removeAllListeners('error');
+
+                t.equal(setupDoneEvents, 0,
+                    'buckets setup should not run again');
+                t.equal(status.bucketsSetup.state, 'DONE',
+                    'buckets setup state should be DONE');
+                t.equal(status.bucketsReindex.state, 'DONE',
+                    'buckets reindex state should be DONE');
+                t.throws(function retryAfterDone() {
+                    morayBucketsInitializer.retry();
+                }, /cannot be retried/, 'retry should throw once done');
+
+                next();
+            });
+
+            morayBucketsInitializer.retry();
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup with lifecycle hooks', function (t) {
+    var afterBucketCreatedCalls = 0;
+    var calledHooks = [];
+    var morayBucketsInitializer;
+    var morayClient;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_setup_hooks';
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function cleanup(_, next) {
+            morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function initMorayBucketsWithHooks(_, next) {
+            morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfig,
+                hooks: {
+                    beforeSetup: function beforeSetup(info) {
+                        t.equal(info.bucketsConfig, testBucketsConfig,
+                            'beforeSetup should be passed bucketsConfig');
+                        calledHooks.push('beforeSetup');
+                        return Promise.resolve();
+                    },
+                    afterBucketCreated:
+                        function afterBucketCreated(info, callback) {
+                            ++afterBucketCreatedCalls;
+                            calledHooks.push('afterBucketCreated');
+
+                            t.equal(info.bucketName, TEST_BUCKET_NAME,
+                                'afterBucketCreated should be passed the ' +
+                                    'bucket name');
+                            t.equal(info.oldVersion, null,
+                                'afterBucketCreated should be passed a null ' +
+                                    'oldVersion');
+
+                            /*
+                             * Fail once with a transient error, so that the
+                             * hook is retried.
+                             */
+                            if (afterBucketCreatedCalls === 1) {
+                                callback(new Error('Mocked transient error'));
+                                return;
+                            }
+
+                            callback();
+                        },
+                    afterMigrations: function afterMigrations() {
+                        calledHooks.push('afterMigrations');
+                    }
+                },
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+
+                t.deepEqual(calledHooks, [
+                    'beforeSetup',
+                    'afterBucketCreated',
+                    'afterBucketCreated',
+                    'afterMigrations'
+                ], 'hooks should be called in the expected order, and ' +
+                    'afterBucketCreated should be retried');
+                t.equal(morayBucketsInitializer.status().buckets.test_model
+                    .setup.action, 'create',
+                    'bucket setup action should be create');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                morayBucketsInitializer.removeAllListeners('done');
+                t.ifError(initErr, 'moray buckets init should not error');
+                next();
+            });
+
+            morayBucketsInitializer.start();
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup with lock', function (t) {
+    var calledBeforeSetup = [];
+    var initializers = [];
+    var morayClient;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_setup_lock';
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    function delBucketIfExists(bucketName, callback) {
+        morayClient.delBucket(bucketName, function onDel(delBucketErr) {
+            if (delBucketErr &&
+                verror.hasCauseWithName(delBucketErr, 'BucketNotFoundError')) {
+                callback();
+            } else {
+                callback(delBucketErr);
+            }
+        });
+    }
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function cleanup(_, next) {
+            vasync.forEachPipeline({
+                func: delBucketIfExists,
+                inputs: [TEST_BUCKET_NAME, 'merci_buckets_meta']
+            }, next);
+        },
+        function initMorayBucketsConcurrently(_, next) {
+            vasync.forEachParallel({
+                func: function startInitializer(instanceId, done) {
+                    var initializer = new MorayBucketsInitializer({
+                        bucketsConfig: testBucketsConfig,
+                        hooks: {
+                            beforeSetup: function beforeSetup(_info, callback) {
+                                calledBeforeSetup.push(instanceId);
+                                /*
+                                 * Keep the lock long enough for the other
+                                 * instance to wait for it.
+                                 */
+                                setTimeout(callback, 1000);
+                            }
+                        },
+                        instanceId: instanceId,
+                        lock: {pollIntervalMs: 100},
+                        log: TEST_LOGGER,
+                        morayClient: morayClient
+                    });
+
+                    initializers.push(initializer);
+
+                    initializer.once('done', function onDone() {
+                        initializer.removeAllListeners('error');
+                        done();
+                    });
+
+                    initializer.once('error', function onError(initErr) {
+                        initializer.removeAllListeners('done');
+                        done(initErr);
+                    });
+
+                    initializer.start();
+                },
+                inputs: ['instance-1', 'instance-2']
+            }, function onAllDone(initErr) {
+                t.ifError(initErr, 'moray buckets init should not error');
+                t.equal(calledBeforeSetup.length, 1,
+                    'only one instance should set up buckets');
+
+                initializers.forEach(function checkStatus(initializer) {
+                    var lockStatus = initializer.status().lock;
+
+                    t.equal(lockStatus.state, 'RELEASED',
+                        'lock should be released');
+                    t.equal(lockStatus.holder, calledBeforeSetup[0],
+                        'lock holder should be the instance that set up ' +
+                            'buckets');
+                });
+
+                next();
+            });
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup with lock and different buckets configs',
+    function (t) {
+    var calledBeforeSetup = [];
+    var morayClient;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_setup_lock_upgrade';
+
+    /*
+     * "instance-2" runs a newer version of the same service, whose bucket
+     * has an additional index, so it must not consider that the buckets
+     * initialization process completed by "instance-1" covers its own.
+     */
+    var testBucketsConfigs = {
+        'instance-1': {
+            test_model: {
+                name: TEST_BUCKET_NAME,
+                schema: {
+                    index: {
+                        foo: { type: 'string' }
+                    }
+                }
+            }
+        },
+        'instance-2': {
+            test_model: {
+                name: TEST_BUCKET_NAME,
+                schema: {
+                    index: {
+                        foo: { type: 'string' },
+                        bar: { type: 'string' }
+                    },
+                    options: {
+                        version: 1
+                    }
+                }
+            }
+        }
+    };
+
+    function delBucketIfExists(bucketName, callback) {
+        morayClient.delBucket(bucketName, function onDel(delBucketErr) {
+            if (delBucketErr &&
+                verror.hasCauseWithName(delBucketErr, 'BucketNotFoundError')) {
+                callback();
+            } else {
+                callback(delBucketErr);
+            }
+        });
+    }
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function cleanup(_, next) {
+            vasync.forEachPipeline({
+                func: delBucketIfExists,
+                inputs: [TEST_BUCKET_NAME, 'merci_buckets_meta']
+            }, next);
+        },
+        function initMorayBucketsConcurrently(_, next) {
+            vasync.forEachParallel({
+                func: function startInitializer(instanceId, done) {
+                    var initializer = new MorayBucketsInitializer({
+                        bucketsConfig: testBucketsConfigs[instanceId],
+                        hooks: {
+                            beforeSetup: function beforeSetup(_info, callback) {
+                                calledBeforeSetup.push(instanceId);
+                                /*
+                                 * Keep the lock long enough for the other
+                                 * instance to wait for it.
+                                 */
+                                setTimeout(callback, 1000);
+                            }
+                        },
+                        instanceId: instanceId,
+                        lock: {pollIntervalMs: 100},
+                        log: TEST_LOGGER,
+                        morayClient: morayClient
+                    });
+
+                    initializer.once('done', function onDone() {
+                        initializer.removeAllListeners('error');
+                        t.equal(initializer.status().bucketsSetup.completedBy,
+                            undefined, instanceId + ' should set up buckets ' +
+                                'itself');
+                        done();
+                    });
+
+                    initializer.once('error', function onError(initErr) {
+                        initializer.removeAllListeners('done');
+                        done(initErr);
+                    });
+
+                    initializer.start();
+                },
+                inputs: ['instance-1', 'instance-2']
+            }, function onAllDone(initErr) {
+                t.ifError(initErr, 'moray buckets init should not error');
+                t.equal(calledBeforeSetup.length, 2,
+                    'both instances should set up buckets');
+                next();
+            });
+        },
+        function checkBucketUpdated(_, next) {
+            morayClient.getBucket(TEST_BUCKET_NAME,
+                function onGetBucket(getBucketErr, bucket) {
+                    t.ifError(getBucketErr, 'getting bucket should not error');
+                    t.ok(bucket && bucket.index.bar !== undefined,
+                        'bucket should have the index added by instance-2');
+                    next(getBucketErr);
+                });
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup with backoff policy time budget', function (t) {
+    var beforeSetupCalls = 0;
+    var morayClient;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_setup_time_budget';
+    var TIME_BUDGET_MS = 500;
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function initMorayBuckets(_, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                backoffPolicy: {
+                    bucketsSetup: {
+                        initialDelay: 20,
+                        jitter: 0.5,
+                        maxDelay: 100,
+                        strategy: 'fibonacci',
+                        timeBudget: TIME_BUDGET_MS
+                    }
+                },
+                bucketsConfig: testBucketsConfig,
+                hooks: {
+                    beforeSetup: function beforeSetup() {
+                        ++beforeSetupCalls;
+                        throw new Error('Mocked transient error');
+                    }
+                },
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            });
+            var startTime = Date.now();
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                t.ok(false, 'moray buckets init should not complete');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                morayBucketsInitializer.removeAllListeners('done');
+
+                t.ok(verror.hasCauseWithName(initErr,
+                    'TimeBudgetExceededError'),
+                    'moray buckets init should fail with a ' +
+                        'TimeBudgetExceededError');
+                t.ok(Date.now() - startTime >= TIME_BUDGET_MS,
+                    'moray buckets init should fail once the time budget ' +
+                        'elapsed');
+                t.ok(beforeSetupCalls > 1, 'beforeSetup should be retried');
+                next();
+            });
+
+            morayBucketsInitializer.start();
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup with time budget shared by the whole phase',
+    function (t) {
+    var afterBucketCreatedCalls = 0;
+    var morayClient;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_setup_shared_budget';
+    /*
+     * The initial delay is longer than the time budget, so that the initial
+     * delays of both the beforeSetup hook and the buckets setup process would
+     * push the phase well past its time budget if they were not shortened.
+     */
+    var INITIAL_DELAY_MS = 2000;
+    var TIME_BUDGET_MS = 500;
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function cleanup(_, next) {
+            morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function initMorayBuckets(_, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                backoffPolicy: {
+                    bucketsSetup: {
+                        initialDelay: INITIAL_DELAY_MS,
+                        maxDelay: INITIAL_DELAY_MS * 2,
+                        timeBudget: TIME_BUDGET_MS
+                    }
+                },
+                bucketsConfig: testBucketsConfig,
+                hooks: {
+                    beforeSetup: function beforeSetup(_info, callback) {
+                        setTimeout(callback, TIME_BUDGET_MS / 5);
+                    },
+                    afterBucketCreated:
+                        function afterBucketCreated(_info, callback) {
+                            ++afterBucketCreatedCalls;
+                            callback(new Error('Mocked transient error'));
+                        }
+                },
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            });
+            var startTime = Date.now();
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                t.ok(false, 'moray buckets init should not complete');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                var elapsed = Date.now() - startTime;
+
+                morayBucketsInitializer.removeAllListeners('done');
+
+                t.ok(verror.hasCauseWithName(initErr,
+                    'TimeBudgetExceededError'),
+                    'moray buckets init should fail with a ' +
+                        'TimeBudgetExceededError');
+                t.ok(elapsed >= TIME_BUDGET_MS,
+                    'moray buckets init should fail once the time budget ' +
+                        'elapsed');
+                /*
+                 * If the buckets setup process had a time budget of its own,
+                 * it would fail once it elapsed, after the beforeSetup hook.
+                 */
+                t.ok(elapsed < TIME_BUDGET_MS * 2,
+                    'moray buckets init should fail once the time budget of ' +
+                        'the whole phase elapsed, elapsed: ' + elapsed + 'ms');
+                t.equal(afterBucketCreatedCalls, 1,
+                    'buckets setup should run a last attempt once the time ' +
+                        'budget elapsed');
+                next();
+            });
+
+            morayBucketsInitializer.start();
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup with isErrTransient override', function (t) {
+    var contexts = [];
+    var morayClient;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_setup_is_err_transient';
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function cleanup(_, next) {
+            morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function initMorayBuckets(_, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfig,
+                hooks: {
+                    afterBucketCreated: function afterBucketCreated() {
+                        throw new Error('Mocked error');
+                    }
+                },
+                isErrTransient: {
+                    bucketsSetup: function isErrTransient(_err, context) {
+                        contexts.push(context);
+
+                        /*
+                         * Use the default classification, which considers
+                         * that error to be transient, for the first attempt
+                         * only.
+                         */
+                        if (context.attempt < 2) {
+                            return undefined;
+                        }
+
+                        return false;
+                    }
+                },
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                t.ok(false, 'moray buckets init should not complete');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                morayBucketsInitializer.removeAllListeners('done');
+
+                t.ok(initErr, 'moray buckets init should error');
+                t.deepEqual(contexts, [
+                    {
+                        attempt: 1,
+                        bucketName: TEST_BUCKET_NAME,
+                        model: 'test_model',
+                        phase: 'bucketsSetup'
+                    },
+                    {
+                        attempt: 2,
+                        bucketName: TEST_BUCKET_NAME,
+                        model: 'test_model',
+                        phase: 'bucketsSetup'
+                    }
+                ], 'isErrTransient should be called with the context of ' +
+                    'each failed attempt');
+                next();
+            });
+
+            morayBucketsInitializer.start();
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup with throwing isErrTransient override',
+    function (t) {
+    var morayClient;
+    var TEST_BUCKET_NAME =
+        'moray_buckets_test_buckets_setup_is_err_transient_throws';
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function cleanup(_, next) {
+            morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function initMorayBuckets(_, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfig,
+                hooks: {
+                    afterBucketCreated: function afterBucketCreated() {
+                        throw new Error('Mocked error');
+                    }
+                },
+                isErrTransient: {
+                    bucketsSetup: function isErrTransient() {
+                        throw new Error('Mocked isErrTransient error');
+                    }
+                },
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                t.ok(false, 'moray buckets init should not complete');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                var classifyErr = verror.findCauseByName(initErr,
+                    'ErrorClassificationError');
+
+                morayBucketsInitializer.removeAllListeners('done');
+
+                t.ok(classifyErr, 'moray buckets init should fail with an ' +
+                    'ErrorClassificationError, got: ' +
+                    (initErr && initErr.message));
+                t.equal(classifyErr && verror.cause(classifyErr).message,
+                    'Mocked isErrTransient error',
+                    'cause should be the error thrown by isErrTransient');
+                t.ok(classifyErr && /Mocked error$/.test(
+                    classifyErr.err.message),
+                    'err property should be the error being classified');
+                t.equal(morayBucketsInitializer.status().bucketsSetup
+                    .attemptsHistory.length, 1,
+                    'buckets setup should not be retried');
+                next();
+            });
+
+            morayBucketsInitializer.start();
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup with maximum number of attempts', function (t) {
+    var MAX_ATTEMPTS = 3;
+    var morayClient;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_setup_max_attempts';
+
+    var testBucketsConfig = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function cleanup(_, next) {
+            morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function initMorayBuckets(_, next) {
+            var morayBucketsInitializer = new MorayBucketsInitializer({
+                bucketsConfig: testBucketsConfig,
+                hooks: {
+                    afterBucketCreated: function afterBucketCreated() {
+                        throw new Error('Mocked transient error');
+                    }
+                },
+                log: TEST_LOGGER,
+                maxBucketsSetupAttempts: MAX_ATTEMPTS,
+                morayClient: morayClient
+            });
+
+            morayBucketsInitializer.once('done', function onDone() {
+                morayBucketsInitializer.removeAllListeners('error');
+                t.ok(false, 'moray buckets init should not complete');
+                next();
+            });
+
+            morayBucketsInitializer.once('error', function onError(initErr) {
+                var maxAttemptsErr;
+                var status = morayBucketsInitializer.status();
+
+                morayBucketsInitializer.removeAllListeners('done');
+
+                maxAttemptsErr = verror.findCauseByName(initErr,
+                    'MaxAttemptsExceededError');
+                t.ok(maxAttemptsErr, 'moray buckets init should fail with a ' +
+                    'MaxAttemptsExceededError');
+
+                if (maxAttemptsErr) {
+                    t.equal(maxAttemptsErr.attempts.length, MAX_ATTEMPTS,
+                        'error should list all failed attempts');
+                    t.ok(/Mocked transient error/.test(
+                        verror.cause(maxAttemptsErr).message),
+                        'error should be caused by the last error');
+                }
+
+                t.equal(status.bucketsSetup.attemptsHistory.length,
+                    MAX_ATTEMPTS, 'status should list all failed attempts');
+                t.ok(status.bucketsSetup.attemptsHistory.every(
+                    function checkAttempt(attempt) {
+                        return typeof (attempt.timestamp) === 'string' &&
+                            typeof (attempt.name) === 'string' &&
+                            /Mocked transient error/.test(attempt.message);
+                    }), 'each attempt should have a timestamp, error name ' +
+                        'and error message');
+                next();
+            });
+
+            morayBucketsInitializer.start();
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup and reindex with building blocks', function (t) {
+    var morayClient;
+    var TEST_BUCKET_NAME = 'moray_buckets_test_buckets_building_blocks';
+
+    var testBucketsConfigV1 = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                },
+                options: {
+                    version: 1
+                }
+            }
+        }
+    };
+
+    var testBucketsConfigV2 = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' },
+                    bar: { type: 'string' }
+                },
+                options: {
+                    version: 2
+                }
+            }
+        }
+    };
+
+    var testBucketsConfigV3 = {
+        test_model: {
+            name: TEST_BUCKET_NAME,
+            schema: {
+                index: {
+                    foo: { type: 'string' }
+                },
+                options: {
+                    version: 3
+                }
+            }
+        }
+    };
+
+    vasync.pipeline({funcs: [
+        function connectToMoray(_, next) {
+            morayClient = testMoray.creatTestMorayClient({
+                log: TEST_LOGGER
+            });
+
+            morayClient.once('connect', next);
+            morayClient.once('error', next);
+        },
+        function cleanup(_, next) {
+            morayClient.delBucket(TEST_BUCKET_NAME,
+                function onDel(delBucketErr) {
+                    if (delBucketErr &&
+                        verror.hasCauseWithName(delBucketErr,
+                            'BucketNotFoundError')) {
+                        next();
+                    } else {
+                        next(delBucketErr);
+                    }
+                });
+        },
+        function setupV1(_, next) {
+            morayBuckets.setupBuckets(testBucketsConfigV1, {
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            }, next);
+        },
+        function setupV2(_, next) {
+            var status = morayBuckets.setupBuckets(testBucketsConfigV2, {
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            }, function onSetup(setupErr) {
+                t.ifError(setupErr, 'setting up bucket should not error');
+                t.equal(status.state, 'DONE',
+                    'buckets setup status should be DONE');
+                t.equal(status.buckets.test_model.action, 'update',
+                    'bucket should be updated');
+                next(setupErr);
+            });
+        },
+        function reindex(_, next) {
+            var status = morayBuckets.reindexBuckets(testBucketsConfigV2, {
+                log: TEST_LOGGER,
+                maxAttempts: 5,
+                morayClient: morayClient
+            }, function onReindexed(reindexErr) {
+                t.ifError(reindexErr, 'reindexing bucket should not error');
+                t.equal(status.state, 'DONE',
+                    'buckets reindex status should be DONE');
+                next(reindexErr);
+            });
+        },
+        function setupV3(_, next) {
+            morayBuckets.setupBuckets(testBucketsConfigV3, {
+                log: TEST_LOGGER,
+                morayClient: morayClient
+            }, function onSetup(setupErr) {
+                t.ok(verror.findCauseByName(setupErr,
+                    'InvalidIndexesRemovalError') instanceof
+                    morayBuckets.InvalidIndexesRemovalError,
+                    'removing an index should fail with an exported ' +
+                        'InvalidIndexesRemovalError');
+                next();
+            });
+        }
+    ]}, function onAllTestsDone(testsErr) {
+        t.ifError(testsErr, 'tests should not error');
+
+        if (morayClient) {
+            morayClient.close();
+        }
+
+        t.end();
+    });
+});
+
+test('Moray buckets setup with invalid buckets config', function (t) {
+    var configErr;
+    var morayBucketsInitializer;
+
+    var testBucketsConfig = {
+        test_model: {
+            name: 'moray_buckets_test_invalid_config',
+            schema: {
+                index: {
+                    foo: { type: 'strin' },
+                    bar: { type: 'number', unique: 'true' }
+                },
+                options: {
+                    version: '1'
+                },
+                pre: ['not a function']
+            }
+        },
+        other_model: {
+            name: 'moray_buckets_test_invalid_config'
+        }
+    };
+
+    configErr = morayBuckets.validateBucketsConfig(testBucketsConfig);
+
+    t.ok(configErr instanceof morayBuckets.InvalidBucketsConfigError,
+        'validating buckets config should return an ' +
+            'InvalidBucketsConfigError');
+    t.deepEqual(configErr.problems.map(function getPath(problem) {
+        return problem.path;
+    }), [
+        '$.test_model.schema.index.foo.type',
+        '$.test_model.schema.index.bar.unique',
+        '$.test_model.schema.options.version',
+        '$.test_model.schema.pre[0]',
+        '$.other_model.name',
+        '$.other_model.schema'
+    ], 'all problems should be reported with their JSON path');
+
+    /*
+     * The moray client is never used, since the buckets configuration is
+     * validated before sending any request to Moray.
+     */
+    morayBucketsInitializer = new MorayBucketsInitializer({
+        bucketsConfig: testBucketsConfig,
+        log: TEST_LOGGER,
+        morayClient: {}
+    });
+
+    morayBucketsInitializer.once('done', function onDone() {
+        morayBucketsInitializer.removeAllListeners('error');
+        t.ok(false, 'moray buckets init should not complete');
+        t.end();
+    });
+
+    morayBucketsInitializer.once('error', function onError(initErr) {
+        morayBucketsInitializer.removeAllListeners('done');
+
+        t.ok(verror.hasCauseWithName(initErr, 'InvalidBucketsConfigError'),
+            'moray buckets init should fail with an ' +
+                'InvalidBucketsConfigError');
+        t.equal(morayBucketsInitializer.status().bucketsSetup.state, 'ERROR',
+            'buckets setup status should be ERROR');
+        t.end();
+    });
+
+    morayBucketsInitializer.start();
+});